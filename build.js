@@ -38,6 +38,7 @@ const CONFIG = {
 			'src/lib/util.js',
 			'src/lib/simplestore/simplestore.js',
 			'src/lib/simplestore/adapters/FCHost.Storage.js',
+			'src/lib/simplestore/adapters/hoststorage.js',
 			'src/lib/simplestore/adapters/webstorage.js',
 			'src/lib/simplestore/adapters/cookie.js',
 			'src/lib/debugview.js',
@@ -46,6 +47,7 @@ const CONFIG = {
 			'src/lib/stylewrapper.js',
 			'src/util/enumfrom.js',
 			'src/lib/diff.js',
+			'src/lib/serial.js',
 			'src/l10n/l10n.js',
 			'src/l10n/legacy.js',
 			'src/l10n/strings.js',
@@ -63,14 +65,20 @@ const CONFIG = {
 			'src/util/gettypeof.js',
 			'src/dialog.js',
 			'src/engine.js',
+			'src/transition.js',
 			'src/passage.js',
 			'src/save.js',
 			'src/setting.js',
+			'src/schema.js',
+			'src/achievement.js',
 			'src/story.js',
+			'src/prefetch.js',
 			'src/ui.js',
 			'src/uibar.js',
+			'src/profiler.js',
 			'src/debugbar.js',
 			'src/loadscreen.js',
+			'src/tabs.js',
 			'src/idb_backend.js',
 			'src/hotkeys.js',
 			'src/sugarcube.js',
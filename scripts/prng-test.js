@@ -0,0 +1,362 @@
+/***********************************************************************************************************************
+
+	scripts/prng-test.js
+		Statistical quality tests for the seedable PRNG (src/stupidrandom.js).
+
+	Usage:
+		node scripts/prng-test.js [--rolls=<count>] [--verbose]
+
+	Runs chi-square, serial-correlation, runs and period tests against a range of numeric and
+	string seeds, plus sanity checks of the generator's constants.  Exits with a non-zero code
+	if any test fails, or if a known weakness gets worse.
+
+***********************************************************************************************************************/
+/* eslint-env node, es2021 */
+'use strict';
+
+const _fs   = require('fs');
+const _path = require('path');
+const _vm   = require('vm');
+
+const _options = {
+	rolls   : 100000,
+	verbose : false
+};
+
+process.argv.slice(2).forEach(arg => {
+	const match = /^--(rolls|verbose)(?:=(.*))?$/.exec(arg);
+
+	if (!match) {
+		console.error(`error: unknown option "${arg}"`);
+		process.exit(2);
+	}
+
+	if (match[1] === 'rolls') {
+		_options.rolls = Number(match[2]);
+
+		if (!Number.isSafeInteger(_options.rolls) || _options.rolls < 1000) {
+			console.error('error: --rolls must be a whole number of at least 1000');
+			process.exit(2);
+		}
+	}
+	else {
+		_options.verbose = true;
+	}
+});
+
+// Numeric seeds span the recommended range of [0.25, 1]; string seeds go through `str2int()`,
+// with every seed version.
+const _seeds = [
+	0.25, 0.3, 1 / 3, 0.4, 0.5, 0.5772156649, 2 / 3, 0.75, 0.8, 0.9, 0.99, 1,
+	'', 'a', 'ab', 'ba', 'seed', 'Seed', 'hello world', 'Degrees of Lewdity', '1234567890', '~~~~~~~~',
+	'The quick brown fox jumps over the lazy dog.', 'Привет, мир', '你好世界', '🎲🎲'
+];
+
+// Standard normal quantile for a two-sided p of 0.0001.  The generator is deterministic, so a
+// result never changes between runs—a strict threshold only catches real regressions.
+const _z = 3.891;
+
+/*
+	Known weaknesses of the current generator, test name → function returning the worst acceptable
+	value for the given number of rolls, or `undefined` if none is known.  These tests fail for
+	every seed, but fixing them would change the rolls of every existing seeded story, so instead
+	they only fail if a change makes them worse.
+
+	serialPairs: `random()` is, at heart, `pull * constant` modulo the limiter, so consecutive
+	rolls are related and pairs cluster on the grid.  Currently scores ~1350–2375 at 100000 rolls.
+
+	The statistic grows with the number of rolls, though not in proportion, so its ceilings were
+	measured at several counts—each about 5% above the worst seed—and are interpolated between
+	them.  Outside of the measured counts, it always fails.
+
+	serialCorrelation: for about one seed in five, neighbouring rolls are slightly correlated—e.g.,
+	~0.02 around 0.47 and 0.95, peaking at ~0.06 around 0.731, as found by sweeping the seeds
+	between 0.25 and 1 in steps of 0.0037.  The correlation does not depend on the number of rolls.
+*/
+const _known = {
+	serialPairs       : ceilingsInterpolate({ 10000 : 340, 20000 : 655, 50000 : 1485, 100000 : 2500, 200000 : 3530 }),
+	serialCorrelation : () => 0.075
+};
+
+
+/*******************************************************************************************************************
+	Utility Functions.
+*******************************************************************************************************************/
+/*
+	Loads the PRNG class from the source tree, as the browser would.
+*/
+function loadPRNG() {
+	const context = { console, Math, Number, clone : obj => JSON.parse(JSON.stringify(obj)) };
+	context.window = context;
+	_vm.createContext(context);
+	_vm.runInContext(
+		_fs.readFileSync(_path.join(__dirname, '../src/stupidrandom.js'), 'utf8'),
+		context,
+		{ filename : 'src/stupidrandom.js' }
+	);
+	return context.PRNG;
+}
+
+function isPrime(num) {
+	if (num < 2 || num % 2 === 0) {
+		return num === 2;
+	}
+
+	for (let i = 3; i * i <= num; i += 2) {
+		if (num % i === 0) {
+			return false;
+		}
+	}
+
+	return true;
+}
+
+/*
+	Returns a function returning the ceiling for the given number of rolls, linearly interpolated
+	between the given ceilings, roll count → ceiling, or `undefined` if it's outside of them.
+*/
+function ceilingsInterpolate(ceilings) {
+	const points = Object.keys(ceilings).map(Number).sort((a, b) => a - b);
+
+	return rolls => {
+		const upper = points.findIndex(point => point >= rolls);
+
+		if (upper === -1 || rolls < points[0]) {
+			return undefined;
+		}
+
+		if (points[upper] === rolls) {
+			return ceilings[rolls];
+		}
+
+		const low  = points[upper - 1];
+		const high = points[upper];
+		return ceilings[low] + (ceilings[high] - ceilings[low]) * (rolls - low) / (high - low);
+	};
+}
+
+/*
+	Returns the critical chi-square value for the given degrees of freedom, via the
+	Wilson–Hilferty approximation.
+*/
+function chiSquareCritical(df) {
+	const spread = 2 / (9 * df);
+	return df * (1 - spread + _z * Math.sqrt(spread)) ** 3;
+}
+
+
+/*******************************************************************************************************************
+	Test Functions.
+*******************************************************************************************************************/
+/*
+	Each test takes an array of rolls and returns `{ ok, value, limit }`.
+*/
+
+/*
+	Rolls must be within [0, 1).
+*/
+function testRange(rolls) {
+	const bad = rolls.filter(roll => !(roll >= 0 && roll < 1)).length;
+	return { ok : bad === 0, value : bad, limit : 0 };
+}
+
+/*
+	Uniformity: the rolls should fill 100 equal buckets evenly.
+*/
+function testChiSquare(rolls, buckets = 100) {
+	const counts   = new Array(buckets).fill(0);
+	const expected = rolls.length / buckets;
+	rolls.forEach(roll => ++counts[Math.min(buckets - 1, Math.floor(roll * buckets))]);
+	const value = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+	const limit = chiSquareCritical(buckets - 1);
+	return { ok : value <= limit, value, limit };
+}
+
+/*
+	Pair uniformity: consecutive, non-overlapping pairs of rolls should fill a 10×10 grid evenly,
+	which catches generators that are uniform one roll at a time but predictable in pairs.
+*/
+function testSerialPairs(rolls, side = 10) {
+	const buckets  = side * side;
+	const counts   = new Array(buckets).fill(0);
+	const pairs    = Math.floor(rolls.length / 2);
+	const expected = pairs / buckets;
+
+	for (let i = 0; i < pairs; ++i) {
+		const x = Math.min(side - 1, Math.floor(rolls[2 * i] * side));
+		const y = Math.min(side - 1, Math.floor(rolls[2 * i + 1] * side));
+		++counts[x * side + y];
+	}
+
+	const value = counts.reduce((sum, count) => sum + (count - expected) ** 2 / expected, 0);
+	const limit = chiSquareCritical(buckets - 1);
+	return { ok : value <= limit, value, limit };
+}
+
+/*
+	Serial correlation: the correlation between each roll and the ones 1 to 5 steps later should
+	be indistinguishable from zero.  Reports the worst lag.
+*/
+function testSerialCorrelation(rolls, maxLag = 5) {
+	const count    = rolls.length;
+	const mean     = rolls.reduce((sum, roll) => sum + roll, 0) / count;
+	const variance = rolls.reduce((sum, roll) => sum + (roll - mean) ** 2, 0);
+	const limit    = _z / Math.sqrt(count);
+	let value = 0;
+
+	for (let lag = 1; lag <= maxLag; ++lag) {
+		let covariance = 0;
+
+		for (let i = 0; i + lag < count; ++i) {
+			covariance += (rolls[i] - mean) * (rolls[i + lag] - mean);
+		}
+
+		value = Math.max(value, Math.abs(covariance / variance));
+	}
+
+	return { ok : value <= limit, value, limit };
+}
+
+/*
+	Runs (Wald–Wolfowitz): the number of streaks above and below 0.5 should match chance, which
+	catches rolls that flip too often or stick together.  Reports the z-score.
+*/
+function testRuns(rolls) {
+	const count = rolls.length;
+	const above = rolls.filter(roll => roll >= 0.5).length;
+	const below = count - above;
+	let runs = 1;
+
+	for (let i = 1; i < count; ++i) {
+		if (rolls[i] >= 0.5 !== rolls[i - 1] >= 0.5) {
+			++runs;
+		}
+	}
+
+	const expected = 2 * above * below / count + 1;
+	const variance = (expected - 1) * (expected - 2) / (count - 1);
+	const value    = Math.abs(runs - expected) / Math.sqrt(variance);
+	return { ok : value <= _z, value, limit : _z };
+}
+
+/*
+	Period: the generator must not fall into a cycle within the rolls—i.e., the opening stretch
+	of rolls must not reappear.  Reports where it reappeared, or 0.
+*/
+function testPeriod(rolls, window = 8) {
+	const head = rolls.slice(0, window);
+
+	for (let i = 1; i + window <= rolls.length; ++i) {
+		if (head.every((roll, j) => rolls[i + j] === roll)) {
+			return { ok : false, value : i, limit : rolls.length };
+		}
+	}
+
+	return { ok : true, value : 0, limit : rolls.length };
+}
+
+const _tests = {
+	range             : testRange,
+	chiSquare         : testChiSquare,
+	serialPairs       : testSerialPairs,
+	serialCorrelation : testSerialCorrelation,
+	runs              : testRuns,
+	period            : testPeriod
+};
+
+
+/*******************************************************************************************************************
+	Main.
+*******************************************************************************************************************/
+const PRNG = loadPRNG();
+const failures = [];
+
+const warnings = [];
+
+function report(name, result, ceiling) {
+	let status = result.ok ? 'pass' : 'FAIL';
+
+	if (!result.ok && ceiling !== undefined && result.value <= ceiling) {
+		status = 'warn';
+		warnings.push(name);
+	}
+	else if (!result.ok) {
+		failures.push(name);
+	}
+
+	if (status === 'FAIL' || _options.verbose) {
+		const format = num => Number.isInteger(num) ? num : num.toFixed(4);
+		console.log(`${status}  ${name}: ${format(result.value)} (limit: ${format(result.limit)}${status === 'warn' ? `, known weakness, ceiling: ${format(ceiling)}` : ''})`);
+	}
+}
+
+/*
+	The constants are tuned for a `Number.MAX_SAFE_INTEGER` of 2^53 - 1; see the comments within
+	the constructor.
+*/
+(() => {
+	const prng = new PRNG(0.5);
+	const max  = prng.limiter * prng.limiter * prng.primes[prng.primes.length - 1];
+
+	report('constants: MAX_SAFE_INTEGER is 2^53 - 1', {
+		ok    : Number.MAX_SAFE_INTEGER === 2 ** 53 - 1,
+		value : Number.MAX_SAFE_INTEGER,
+		limit : 2 ** 53 - 1
+	});
+	report('constants: limiter is prime', { ok : isPrime(prng.limiter), value : prng.limiter, limit : prng.limiter });
+	report('constants: factor is a prime within (limiter / 2, limiter)', {
+		ok    : isPrime(prng.factor) && prng.factor > prng.limiter / 2 && prng.factor < prng.limiter,
+		value : prng.factor,
+		limit : prng.limiter
+	});
+	report('constants: products stay below MAX_SAFE_INTEGER', { ok : max <= Number.MAX_SAFE_INTEGER, value : max, limit : Number.MAX_SAFE_INTEGER });
+})();
+
+/*
+	The current seed version must map distinct strings onto distinct seeds.
+*/
+(() => {
+	const strings = _seeds.filter(seed => typeof seed === 'string');
+	const seeds   = new Set(strings.map(seed => new PRNG(seed).seedInt));
+	report(`seed version ${PRNG.seedVersion}: distinct strings give distinct seeds`, {
+		ok    : seeds.size === strings.length,
+		value : seeds.size,
+		limit : strings.length
+	});
+})();
+
+let runs = 0;
+
+const ceilings = {};
+
+Object.keys(_known).forEach(name => {
+	ceilings[name] = _known[name](_options.rolls);
+});
+
+_seeds.forEach(seed => {
+	const versions = typeof seed === 'string' ? Array.from({ length : PRNG.seedVersion }, (_, i) => i + 1) : [PRNG.seedVersion];
+
+	versions.forEach(version => {
+		const prng  = new PRNG(seed, 0, version);
+		const rolls = new Array(_options.rolls);
+
+		for (let i = 0; i < rolls.length; ++i) {
+			rolls[i] = prng.random();
+		}
+
+		const label = typeof seed === 'string' ? `"${seed}" (v${version}: ${prng.seedInt.toFixed(4)})` : String(seed);
+		Object.keys(_tests).forEach(name => report(`seed ${label}: ${name}`, _tests[name](rolls), ceilings[name]));
+		++runs;
+	});
+});
+
+if (failures.length > 0) {
+	console.error(`\n${failures.length} PRNG test(s) failed`);
+	process.exit(1);
+}
+
+console.log(`all PRNG tests passed (${runs} seeds, ${_options.rolls} rolls each)`);
+
+if (warnings.length > 0) {
+	console.log(`${warnings.length} known weakness(es) within their ceilings; see --verbose`);
+}
@@ -0,0 +1,179 @@
+/***********************************************************************************************************************
+
+	achievement.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global State, getTypeOf */
+
+var Achievement = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	// Achievement definitions, in the order they were added, ID → definition.
+	const _definitions = new Map();
+
+	// Name of the story metadata namespace which stores the unlocks, ID → unlock time.
+	const _NAMESPACE = 'achievements';
+
+
+	/*******************************************************************************************************************
+		Definitions Functions.
+	*******************************************************************************************************************/
+	/*
+		Adds an achievement.  Definition object properties:
+
+			title        → Title, in markup.
+			description  → (optional) Description, in markup.
+			hidden       → (optional) Whether the description is hidden until unlocked.  Default: `false`.
+	*/
+	function definitionsAdd(id, def) {
+		if (typeof id !== 'string' || id.trim() === '') {
+			throw new TypeError(`Achievement.add id parameter must be a non-empty string (received: ${getTypeOf(id)})`);
+		}
+
+		if (getTypeOf(def) !== 'Object') {
+			throw new TypeError(`Achievement.add definition parameter must be an object (received: ${getTypeOf(def)})`);
+		}
+
+		if (typeof def.title !== 'string' || def.title.trim() === '') {
+			throw new TypeError(`Achievement.add definition of "${id}" must have a title`);
+		}
+
+		if (_definitions.has(id)) {
+			throw new Error(`cannot clobber existing achievement "${id}"`);
+		}
+
+		_definitions.set(id, Object.freeze({
+			id,
+			title       : def.title.trim(),
+			description : typeof def.description === 'string' ? def.description.trim() : '',
+			hidden      : !!def.hidden
+		}));
+	}
+
+	function definitionsDelete(id) {
+		return _definitions.delete(id);
+	}
+
+	function definitionsHas(id) {
+		return _definitions.has(id);
+	}
+
+	/*
+		Returns the given achievement, with its unlock time as Unix epoch milliseconds, or `null` if
+		it's locked.
+	*/
+	function definitionsGet(id) {
+		const def = _definitions.get(id);
+
+		if (!def) {
+			return null;
+		}
+
+		const unlocked = unlocksStore().get(id);
+
+		return Object.assign({}, def, { unlocked : typeof unlocked === 'number' ? unlocked : null });
+	}
+
+	/*
+		Returns all achievements, in the order they were added, as by `Achievement.get()`.
+	*/
+	function definitionsList() {
+		return [..._definitions.keys()].map(definitionsGet);
+	}
+
+	function definitionsSize() {
+		return _definitions.size;
+	}
+
+
+	/*******************************************************************************************************************
+		Unlocks Functions.
+	*******************************************************************************************************************/
+	function unlocksStore() {
+		return State.metadata.namespace(_NAMESPACE);
+	}
+
+	/*
+		Unlocks the given achievement and triggers the `:achievement` event.  Returns whether it was
+		newly unlocked.
+	*/
+	function unlocksAdd(id) {
+		if (!_definitions.has(id)) {
+			throw new Error(`Achievement.unlock: achievement "${id}" does not exist`);
+		}
+
+		const store = unlocksStore();
+
+		if (store.has(id)) {
+			return false;
+		}
+
+		store.set(id, Date.now());
+
+		jQuery.event.trigger({
+			type        : ':achievement',
+			achievement : definitionsGet(id)
+		});
+
+		return true;
+	}
+
+	/*
+		Locks the given achievement again.  Returns whether it was unlocked.
+	*/
+	function unlocksDelete(id) {
+		const store = unlocksStore();
+
+		if (!store.has(id)) {
+			return false;
+		}
+
+		store.delete(id);
+		return true;
+	}
+
+	function unlocksHas(id) {
+		return _definitions.has(id) && unlocksStore().has(id);
+	}
+
+	/*
+		Returns the IDs of the unlocked achievements, in the order they were added.  Unlocks of
+		achievements which no longer exist are ignored.
+	*/
+	function unlocksKeys() {
+		const store = unlocksStore();
+		return [..._definitions.keys()].filter(id => store.has(id));
+	}
+
+	function unlocksClear() {
+		unlocksStore().clear();
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		/*
+			Definitions Functions.
+		*/
+		add    : { value : definitionsAdd },
+		delete : { value : definitionsDelete },
+		get    : { value : definitionsGet },
+		has    : { value : definitionsHas },
+		list   : { get : definitionsList },
+		size   : { get : definitionsSize },
+
+		/*
+			Unlocks Functions.
+		*/
+		unlock     : { value : unlocksAdd },
+		lock       : { value : unlocksDelete },
+		isUnlocked : { value : unlocksHas },
+		unlocked   : { get : unlocksKeys },
+		reset      : { value : unlocksClear }
+	}));
+})();
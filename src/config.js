@@ -22,10 +22,16 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 	let _audioPreloadMetadata   = true;
 
 	// State history settings.
-	let _historyControls  = true;
-	let _historyMaxStates = 40;
-	let _sessionMaxStates = 40;
-	let _expiredMaxStates = 100;
+	let _historyControls     = true;
+	let _historyMaxStates    = 40;
+	let _historyMaxBytes     = 0;
+	let _historyKeyframes    = 0;
+	let _historyBranching    = false;
+	let _historyBranches     = 5;
+	let _historySaveBranches = 3;
+	let _sessionMaxStates    = 40;
+	let _sessionCompression  = false;
+	let _expiredMaxStates    = 100;
 
 	// Macros settings.
 	let _macrosIfAssignmentError   = true;
@@ -44,13 +50,16 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 	let _passagesNobr          = false;
 	let _passagesStart; // set by `Story.load()`
 	let _passagesOnProcess;
+	let _passagesPrefetch      = 0;
 	let _passagesTransitionOut;
 
 	// Saves settings.
 	let _savesAutoload;
 	let _savesAutosave;
+	let _savesMaxAutosaves    = 1;
 	let _savesId              = 'untitled-story';
 	let _savesIsAllowed;
+	let _savesQuotaWarning    = 0.9;
 	let _savesSlots           = 8;
 	let _savesTryDiskOnMobile = true;
 	let _savesVersion;
@@ -138,6 +147,60 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 				}
 			},
 
+			/*
+				Approximate memory budget for the history, in bytes—measured as the length of each
+				serialized moment.  When non-zero, it replaces `maxStates` as the history limit.
+			*/
+			get maxBytes() { return _historyMaxBytes; },
+			set maxBytes(value) {
+				if (!Number.isSafeInteger(value) || value < 0) {
+					throw new RangeError('Config.history.maxBytes must be a non-negative integer');
+				}
+
+				_historyMaxBytes = value;
+			},
+
+			/*
+				How often delta encoded histories store a full moment (keyframe), rather than a
+				delta, so that decoding any moment replays at most that many deltas.  `0`—the
+				default—stores only the first moment in full, as in earlier versions.
+			*/
+			get keyframeInterval() { return _historyKeyframes; },
+			set keyframeInterval(value) {
+				if (!Number.isSafeInteger(value) || value < 0) {
+					throw new RangeError('Config.history.keyframeInterval must be a non-negative integer');
+				}
+
+				_historyKeyframes = value;
+			},
+
+			/*
+				Whether going back and making a different choice keeps the abandoned future as a
+				branch, rather than discarding it.
+			*/
+			get branching() { return _historyBranching; },
+			set branching(value) { _historyBranching = Boolean(value); },
+
+			// Maximum number of branches to keep, other than the active one—oldest go first.
+			get maxBranches() { return _historyBranches; },
+			set maxBranches(value) {
+				if (!Number.isSafeInteger(value) || value < 0) {
+					throw new RangeError('Config.history.maxBranches must be a non-negative integer');
+				}
+
+				_historyBranches = value;
+			},
+
+			// Maximum number of branches to persist within saves and the session—newest go first.
+			get maxSavedBranches() { return _historySaveBranches; },
+			set maxSavedBranches(value) {
+				if (!Number.isSafeInteger(value) || value < 0) {
+					throw new RangeError('Config.history.maxSavedBranches must be a non-negative integer');
+				}
+
+				_historySaveBranches = value;
+			},
+
 			get maxSessionStates() { return _sessionMaxStates; },
 			set maxSessionStates(value) {
 				if (!Number.isSafeInteger(value) || value < 0) {
@@ -147,6 +210,10 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 				_sessionMaxStates = value;
 			},
 
+			// Whether to compress the session state with LZString, trading time for undo steps.
+			get sessionCompression() { return _sessionCompression; },
+			set sessionCompression(value) { _sessionCompression = Boolean(value); },
+
 			get maxExpired() { return _expiredMaxStates; },
 			set maxExpired(value) {
 				_expiredMaxStates = value;
@@ -239,6 +306,20 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 				_passagesOnProcess = value;
 			},
 
+			/*
+				Maximum number of the passages linked from each displayed passage to prefetch, or
+				`0` to disable prefetching.  Prefetching processes the passages' text, so `onProcess`
+				is also called for passages which may never be displayed.
+			*/
+			get prefetch() { return _passagesPrefetch; },
+			set prefetch(value) {
+				if (!Number.isSafeInteger(value) || value < 0) {
+					throw new TypeError(`Config.passages.prefetch must be a non-negative integer (received: ${Util.getType(value)})`);
+				}
+
+				_passagesPrefetch = value;
+			},
+
 			// TODO: (v3) This should be under Navigation settings → `Config.navigation.(start|startingPassage)`.
 			get start() { return _passagesStart; },
 			set start(value) {
@@ -313,6 +394,16 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 				_savesAutosave = value;
 			},
 
+			// Number of rotating autosave slots used by the idb backend (slot 0 and negative slots below it).
+			get maxAutosaves() { return _savesMaxAutosaves; },
+			set maxAutosaves(value) {
+				if (!Number.isSafeInteger(value) || value < 1) {
+					throw new RangeError('Config.saves.maxAutosaves must be a positive integer');
+				}
+
+				_savesMaxAutosaves = value;
+			},
+
 			get id() { return _savesId; },
 			set id(value) {
 				if (typeof value !== 'string' || value === '') {
@@ -331,6 +422,15 @@ var Config = (() => { // eslint-disable-line no-unused-vars, no-var
 				_savesIsAllowed = value;
 			},
 
+			get quotaWarning() { return _savesQuotaWarning; },
+			set quotaWarning(value) {
+				if (typeof value !== 'number' || !(value >= 0 && value <= 1)) {
+					throw new RangeError('Config.saves.quotaWarning must be a number between 0 and 1, inclusive');
+				}
+
+				_savesQuotaWarning = value;
+			},
+
 			get slots() { return _savesSlots; },
 			set slots(value) {
 				if (!Number.isSafeInteger(value) || value < 0) {
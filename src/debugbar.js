@@ -7,7 +7,7 @@
 
 ***********************************************************************************************************************/
 /*
-	global DebugView, Engine, L10n, Patterns, State, Util, session
+	global DebugView, Engine, L10n, Patterns, Profiler, Schema, State, Util, session
 */
 
 var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
@@ -16,11 +16,12 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 	const _variableRe   = new RegExp(`^${Patterns.variable}$`);
 	const _numericKeyRe = /^\d+$/;
 	const _watchList    = [];
-	let _$debugBar   = null;
-	let _$watchBody  = null;
-	let _$watchList  = null;
-	let _$turnSelect = null;
-	let _stowed      = true;
+	let _$debugBar    = null;
+	let _$watchBody   = null;
+	let _$watchList   = null;
+	let _$profileBody = null;
+	let _$turnSelect  = null;
+	let _stowed       = true;
 
 
 	/*******************************************************************************************************************
@@ -38,6 +39,8 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 		const watchNoneLabel   = L10n.get('debugBarWatchNone');
 		const watchToggleLabel = L10n.get('debugBarWatchToggle');
 		const viewsToggleLabel = L10n.get('debugBarViewsToggle');
+		const profToggleLabel  = L10n.get('debugBarProfileToggle');
+		const profExportLabel  = L10n.get('debugBarProfileExport');
 
 		jQuery(document.createDocumentFragment())
 			.append(
@@ -46,6 +49,7 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 				+     '<div id="debug-bar-watch">'
 				+         `<div>${L10n.get('debugBarNoWatches')}</div>>`
 				+     '</div>'
+				+     '<div id="debug-bar-profile" aria-hidden="true" hidden="hidden"></div>'
 				+     '<div>'
 				+         `<button id="debug-bar-watch-toggle" tabindex="0" title="${watchToggleLabel}" aria-label="${watchToggleLabel}">${L10n.get('debugBarLabelWatch')}</button>`
 				+         `<label id="debug-bar-watch-label" for="debug-bar-watch-input">${L10n.get('debugBarLabelAdd')}</label>`
@@ -60,6 +64,10 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 				+         `<label id="debug-bar-turn-label" for="debug-bar-turn-select">${L10n.get('debugBarLabelTurn')}</label>`
 				+         '<select id="debug-bar-turn-select" tabindex="0"></select>'
 				+     '</div>'
+				+     '<div>'
+				+         `<button id="debug-bar-profile-toggle" tabindex="0" title="${profToggleLabel}" aria-label="${profToggleLabel}">${L10n.get('debugBarLabelProfile')}</button>`
+				+         `<button id="debug-bar-profile-export" tabindex="0" title="${profExportLabel}" aria-label="${profExportLabel}"></button>`
+				+     '</div>'
 				+     `<button id="debug-bar-toggle" tabindex="0" title="${barToggleLabel}" aria-label="${barToggleLabel}"></button>`
 				+ '</div>'
 				+ '<div id="debug-bar-hint"></div>'
@@ -74,10 +82,11 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 			the results of `find()`, so that we cache uncluttered jQuery-wrappers
 			(i.e. `context` refers to the elements and there is no `prevObject`).
 		*/
-		_$debugBar   = jQuery('#debug-bar');
-		_$watchBody  = jQuery(_$debugBar.find('#debug-bar-watch').get(0));
-		_$watchList  = jQuery(_$debugBar.find('#debug-bar-watch-list').get(0));
-		_$turnSelect = jQuery(_$debugBar.find('#debug-bar-turn-select').get(0));
+		_$debugBar    = jQuery('#debug-bar');
+		_$watchBody   = jQuery(_$debugBar.find('#debug-bar-watch').get(0));
+		_$watchList   = jQuery(_$debugBar.find('#debug-bar-watch-list').get(0));
+		_$profileBody = jQuery(_$debugBar.find('#debug-bar-profile').get(0));
+		_$turnSelect  = jQuery(_$debugBar.find('#debug-bar-turn-select').get(0));
 
 		const $barToggle   = jQuery(_$debugBar.find('#debug-bar-toggle').get(0));
 		const $watchToggle = jQuery(_$debugBar.find('#debug-bar-watch-toggle').get(0));
@@ -86,6 +95,8 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 		const $watchAll    = jQuery(_$debugBar.find('#debug-bar-watch-all').get(0));
 		const $watchNone   = jQuery(_$debugBar.find('#debug-bar-watch-none').get(0));
 		const $viewsToggle = jQuery(_$debugBar.find('#debug-bar-views-toggle').get(0));
+		const $profToggle  = jQuery(_$debugBar.find('#debug-bar-profile-toggle').get(0));
+		const $profExport  = jQuery(_$debugBar.find('#debug-bar-profile-export').get(0));
 
 		/*
 			Set up the debug bar's local event handlers.
@@ -113,13 +124,19 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 			.ariaClick(debugBarWatchClear);
 		_$turnSelect
 			.on('change', function () {
-				Engine.goTo(Number(this.value));
+				// Moments of other branches have `branch:index` values.
+				const [index, branch] = this.value.split(':').reverse();
+				Engine.goTo(Number(index), branch === undefined ? undefined : Number(branch));
 			});
 		$viewsToggle
 			.ariaClick(() => {
 				DebugView.toggle();
 				_updateSession();
 			});
+		$profToggle
+			.ariaClick(debugBarProfileToggle);
+		$profExport
+			.ariaClick(() => Profiler.export());
 
 		/*
 			Set up the debug bar's global event handlers.
@@ -132,9 +149,18 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 				_updateWatchBody();
 				_updateWatchList();
 			})
+			// Set up a handler for schema violations found outside of passage navigation.
+			.on(':schemacheck.debug-bar', _updateWatchBody)
+			// Set up a handler for the render profile.
+			.on(':profileupdate.debug-bar', _updateProfileBody)
 			// Set up a handler for engine resets to clear the active debug session.
 			.on(':enginerestart.debug-bar', _clearSession);
 
+		/*
+			Start profiling passage renders.
+		*/
+		Profiler.enable();
+
 		/*
 			Initially enable debug views if there's no active debug session.
 		*/
@@ -154,6 +180,7 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 		_updateTurnSelect();
 		_updateWatchBody();
 		_updateWatchList();
+		_updateProfileBody();
 	}
 
 	function debugBarIsStowed() {
@@ -226,6 +253,7 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	function debugBarWatchEnable() {
+		_debugBarProfileDisableNoUpdate();
 		_debugBarWatchEnableNoUpdate();
 		_updateSession();
 	}
@@ -244,6 +272,32 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 
+	function debugBarProfileDisable() {
+		_debugBarProfileDisableNoUpdate();
+		_updateSession();
+	}
+
+	function debugBarProfileEnable() {
+		_debugBarWatchDisableNoUpdate();
+		_debugBarProfileEnableNoUpdate();
+		_updateProfileBody();
+		_updateSession();
+	}
+
+	function debugBarProfileIsEnabled() {
+		return !_$profileBody.attr('hidden');
+	}
+
+	function debugBarProfileToggle() {
+		if (_$profileBody.attr('hidden')) {
+			debugBarProfileEnable();
+		}
+		else {
+			debugBarProfileDisable();
+		}
+	}
+
+
 	/*******************************************************************************************************************
 		Utility Functions.
 	*******************************************************************************************************************/
@@ -266,6 +320,17 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 		_$watchBody.removeAttr('aria-hidden hidden');
 	}
 
+	function _debugBarProfileDisableNoUpdate() {
+		_$profileBody.attr({
+			'aria-hidden' : true,
+			hidden        : 'hidden'
+		});
+	}
+
+	function _debugBarProfileEnableNoUpdate() {
+		_$profileBody.removeAttr('aria-hidden hidden');
+	}
+
 	function _clearSession() {
 		session.delete('debugState');
 	}
@@ -292,6 +357,11 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 			_debugBarWatchDisableNoUpdate();
 		}
 
+		if (debugState.profileEnabled) {
+			_debugBarWatchDisableNoUpdate();
+			_debugBarProfileEnableNoUpdate();
+		}
+
 		if (debugState.viewsEnabled) {
 			DebugView.enable();
 		}
@@ -304,10 +374,11 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 
 	function _updateSession() {
 		session.set('debugState', {
-			stowed       : _stowed,
-			watchList    : _watchList,
-			watchEnabled : debugBarWatchIsEnabled(),
-			viewsEnabled : DebugView.isEnabled()
+			stowed         : _stowed,
+			watchList      : _watchList,
+			watchEnabled   : debugBarWatchIsEnabled(),
+			viewsEnabled   : DebugView.isEnabled(),
+			profileEnabled : debugBarProfileIsEnabled()
 		});
 	}
 
@@ -321,9 +392,30 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	function _updateWatchBody() {
+		const violations = Schema.violations;
+
+		// Flag the watch toggle, so that schema violations are noticed while the panel is closed.
+		jQuery('#debug-bar-watch-toggle').attr('data-violations', violations.length || null);
+
+		_$watchBody.empty();
+
+		if (violations.length > 0) {
+			const $list = jQuery(document.createElement('ul'))
+				.addClass('schema-violations')
+				.attr('title', L10n.get('debugBarSchemaViolations'));
+
+			violations.forEach(violation => {
+				jQuery(document.createElement('li'))
+					.append(jQuery(document.createElement('code')).text(violation.name))
+					.append(document.createTextNode(` ${violation.message}`))
+					.appendTo($list);
+			});
+
+			_$watchBody.append($list);
+		}
+
 		if (_watchList.length === 0) {
 			_$watchBody
-				.empty()
 				.append(`<div>${L10n.get('debugBarNoWatches')}</div>`);
 			return;
 		}
@@ -366,7 +458,6 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 		$table
 			.append($tbody);
 		_$watchBody
-			.empty()
 			.append($table);
 	}
 
@@ -407,13 +498,143 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 				.appendTo(options);
 		}
 
+		State.branches.forEach(branch => {
+			const $group = jQuery(document.createElement('optgroup'))
+				.attr('label', L10n.get('debugBarLabelBranch', { id : branch.id }));
+
+			branch.passages.forEach((title, i) => {
+				jQuery(document.createElement('option'))
+					.val(`${branch.id}:${branch.base + i}`)
+					.text(`${expLen + branch.base + i + 1}. ${Util.escape(title)}`)
+					.appendTo($group);
+			});
+
+			$group.appendTo(options);
+		});
+
 		_$turnSelect
 			.empty()
-			.ariaDisabled(histLen < 2)
+			.ariaDisabled(histLen < 2 && State.branches.length === 0)
 			.append(options)
 			.val(State.activeIndex);
 	}
 
+	function _updateProfileBody() {
+		const profile = Profiler.last;
+
+		jQuery('#debug-bar-profile-export').ariaDisabled(profile === null);
+
+		// Skip building the, possibly large, breakdown while the panel is closed.
+		if (!debugBarProfileIsEnabled()) {
+			return;
+		}
+
+		_$profileBody.empty();
+
+		if (profile === null) {
+			_$profileBody
+				.append(`<div class="profile-none">${L10n.get('debugBarNoProfile')}</div>`);
+			return;
+		}
+
+		_$profileBody
+			.append(jQuery(document.createElement('div')).addClass('profile-graph').append(_createProfileFrame(profile)))
+			.append(_createProfileTotals(profile));
+	}
+
+	/*
+		Returns a flame graph-like element for the given profile frame, whose child frames are
+		sized and offset in proportion to their time.  Frames which take less than 0.5% of their
+		parent's time are left out.
+	*/
+	function _createProfileFrame(frame) {
+		const selfTime = `${L10n.get('debugBarProfileSelf')}: ${_toProfileTime(frame.self)}`;
+		const $frame   = jQuery(document.createElement('div'))
+			.addClass('profile-frame')
+			.attr({
+				'data-type' : frame.type,
+				title       : `${frame.type} ${frame.name}\n${_toProfileTime(frame.time)} (${selfTime})`
+			});
+
+		jQuery(document.createElement('div'))
+			.addClass('profile-label')
+			.text(frame.name)
+			.appendTo($frame);
+
+		const children = frame.children.filter(child => frame.time > 0 && child.time / frame.time >= 0.005);
+
+		if (children.length > 0) {
+			const $children = jQuery(document.createElement('div')).addClass('profile-children');
+			let offset = frame.start;
+
+			children.forEach(child => {
+				_createProfileFrame(child)
+					.css({
+						marginLeft : `${(child.start - offset) / frame.time * 100}%`,
+						width      : `${child.time / frame.time * 100}%`
+					})
+					.appendTo($children);
+				offset = child.start + child.time;
+			});
+
+			$frame.append($children);
+		}
+
+		return $frame;
+	}
+
+	/*
+		Returns a table of the frames of the given profile with the most own time, grouped by
+		type and name—e.g., all calls to a widget.
+	*/
+	function _createProfileTotals(profile) {
+		const totals = new Map();
+
+		(function addFrame(frame) {
+			const key = `${frame.type}\0${frame.name}`;
+
+			if (!totals.has(key)) {
+				totals.set(key, { type : frame.type, name : frame.name, calls : 0, self : 0 });
+			}
+
+			const total = totals.get(key);
+			++total.calls;
+			total.self += frame.self;
+
+			frame.children.forEach(addFrame);
+		})(profile);
+
+		const $table = jQuery(document.createElement('table')).addClass('profile-totals');
+		const $tbody = jQuery(document.createElement('tbody'));
+
+		jQuery(document.createElement('tr'))
+			.append(jQuery(document.createElement('th')).text(L10n.get('debugBarProfileTotals')))
+			.append(jQuery(document.createElement('th')).text(L10n.get('debugBarProfileCalls')))
+			.append(jQuery(document.createElement('th')).text(L10n.get('debugBarProfileSelf')))
+			.appendTo($tbody);
+
+		[...totals.values()]
+			.sort((a, b) => b.self - a.self)
+			.slice(0, 20)
+			.forEach(total => {
+				jQuery(document.createElement('tr'))
+					.append(
+						jQuery(document.createElement('td'))
+							.append(jQuery(document.createElement('code')).text(total.type))
+							.append(document.createTextNode(` ${total.name}`))
+					)
+					.append(jQuery(document.createElement('td')).text(total.calls))
+					.append(jQuery(document.createElement('td')).text(_toProfileTime(total.self)))
+					.appendTo($tbody);
+			});
+
+		return $table.append($tbody);
+	}
+
+	function _toProfileTime(ms) {
+		return `${ms.toFixed(2)}\u202Fms`;
+	}
+
 	function _toWatchString(value) {
 		/*
 			Handle the `null` primitive.
@@ -546,6 +767,18 @@ var DebugBar = (() => { // eslint-disable-line no-unused-vars, no-var
 				isEnabled : { value : debugBarWatchIsEnabled },
 				toggle    : { value : debugBarWatchToggle }
 			}))
+		},
+
+		/*
+			Profile Functions.
+		*/
+		profile : {
+			value : Object.freeze(Object.defineProperties({}, {
+				disable   : { value : debugBarProfileDisable },
+				enable    : { value : debugBarProfileEnable },
+				isEnabled : { value : debugBarProfileIsEnabled },
+				toggle    : { value : debugBarProfileToggle }
+			}))
 		}
 	}));
 })();
@@ -6,7 +6,7 @@
 	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
 
 ***********************************************************************************************************************/
-/* global Has, L10n, Story, getTypeOf */
+/* global Has, L10n, Story, Wikifier, getTypeOf */
 
 var Dialog = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
@@ -446,7 +446,9 @@ var Dialog = (() => { // eslint-disable-line no-unused-vars, no-var
 		Returns `Dialog` for further chaining.
 	*/
 	function wiki(...args) {
-		$body.wiki(...args);
+		// Dialogs are a render tree of their own, so navigating away from the passage which opened
+		// one does not stop its content.
+		new Wikifier.Scope().run(() => $body.wiki(...args));
 		return Dialog;
 	}
 
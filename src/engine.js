@@ -7,8 +7,9 @@
 
 ***********************************************************************************************************************/
 /*
-	global Alert, Config, DebugView, Dialog, Has, LoadScreen, Save, State, Story, StyleWrapper, UI, UIBar, Util,
-	       Wikifier, postdisplay, postrender, predisplay, prehistory, prerender, setDisplayTitle
+	global Alert, Config, DebugView, Dialog, Has, LoadScreen, Profiler, Save, Schema, State, Story, StyleWrapper,
+	       Transition, UI, UIBar, Util, Wikifier, postdisplay, postrender, predisplay, prehistory, prerender,
+	       setDisplayTitle
 */
 
 var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
@@ -39,6 +40,12 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 	// List of objects describing `StoryInterface` elements to update via passages during navigation.
 	let _updating = null;
 
+	// Set of navigation guards.
+	const _guards = new Set();
+
+	// Whether a navigation is waiting on a deferred guard.
+	let _navigating = false;
+
 
 	/*******************************************************************************************************************
 		Engine Functions.
@@ -181,6 +188,11 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 	function engineStart() {
 		if (DEBUG) { console.log('[Engine/engineStart()]'); }
 
+		/*
+			Give the story variables their schema defaults, so that initialization code may rely on them.
+		*/
+		Schema.applyDefaults();
+
 		/*
 			Execute `init`-tagged special passages.
 		*/
@@ -383,50 +395,55 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	/*
-		Activate the moment at the given index within the state history and show it.
+		Activate the moment at the given index within the state history and show it.  If a branch
+		ID is given, switches to that branch of the history tree first.
 	*/
-	function engineGoTo(idx) {
-		const succeded = State.goTo(idx);
+	function engineGoTo(idx, branch) {
+		return _navigate('goto', _momentTitle(idx, branch), () => {
+			const succeded = branch == null ? State.goTo(idx) : State.switchBranch(branch, idx); // lazy equality for null
 
-		if (succeded) {
-			engineShow();
-		}
+			if (succeded) {
+				engineShow();
+			}
 
-		return succeded;
+			return succeded;
+		});
 	}
 
 	/*
 		Activate the moment at the given offset from the active moment within the state history
 		and show it.
 	*/
-	function engineGo(offset) {
-		const succeded = State.go(offset);
-
-		jQuery.event.trigger({
-			type : ':enginego',
-			offset,
-			succeded
-		});
+	function engineGo(offset, kind = 'goto') {
+		return _navigate(kind, _momentTitle(State.activeIndex + offset), () => {
+			const succeded = State.go(offset);
+
+			jQuery.event.trigger({
+				type : ':enginego',
+				offset,
+				succeded
+			});
 
-		if (succeded) {
-			engineShow();
-		}
+			if (succeded) {
+				engineShow();
+			}
 
-		return succeded;
+			return succeded;
+		});
 	}
 
 	/*
 		Go to the moment which directly precedes the active moment and show it.
 	*/
 	function engineBackward() {
-		return engineGo(-1);
+		return engineGo(-1, 'back');
 	}
 
 	/*
 		Go to the moment which directly follows the active moment and show it.
 	*/
 	function engineForward() {
-		return engineGo(1);
+		return engineGo(1, 'forward');
 	}
 
 	/*
@@ -437,11 +454,28 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		return enginePlay(State.passage, true);
 	}
 
+	/*
+		Navigates to the passage referenced by the given title, optionally without adding a new
+		moment to the history, subject to the navigation guards.  Returns the rendered passage
+		element, as `enginePlay()` does, unless a guard is registered—in which case it may also
+		return `false`, if the navigation was cancelled, or a promise, if a guard deferred.
+	*/
+	function engineNavigate(title, noHistory) {
+		return _navigate('play', title, () => enginePlay(title, noHistory));
+	}
+
 	/*
 		Renders and displays the passage referenced by the given title, optionally without
-		adding a new moment to the history.
+		adding a new moment to the history.  The play gets a cancellation scope of its own, and
+		each of its renders—the passage and the special passages—a separate one, so that ending a
+		render—e.g., by `<<exitAll>>` or `<<goto>>`—does not skip the others.  In debug mode, the
+		play is also profiled.  SEE: `profiler.js`.
 	*/
 	function enginePlay(title, noHistory) {
+		return new Wikifier.Scope().run(() => Profiler.profile('passage', title, () => _enginePlay(title, noHistory)));
+	}
+
+	function _enginePlay(title, noHistory) {
 		if (DEBUG) { console.log(`[Engine/enginePlay(title: "${title}", noHistory: ${noHistory})]`); }
 
 		let passageTitle = title;
@@ -466,7 +500,10 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 					passageTitle = overrideTitle;
 				}
 			}
-			catch (ex) { /* no-op */ }
+			catch (ex) {
+				console.error(ex);
+				Alert.error('Config.navigation.override', typeof ex === 'object' ? ex.message : ex);
+			}
 		}
 
 		// Retrieve the passage by the given title.
@@ -508,13 +545,17 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		// Execute pre-display tasks and the `PassageReady` special passage.
 		Object.keys(predisplay).forEach(task => {
 			if (typeof predisplay[task] === 'function') {
-				predisplay[task].call(passage, task);
+				Profiler.measure('task', task, () => predisplay[task].call(passage, task));
 			}
 		});
 
 		if (Story.has('PassageReady')) {
 			try {
-				passageReadyOutput = Wikifier.wikifyEval(Story.get('PassageReady').text, Story.get('PassageReady'));
+				passageReadyOutput = Profiler.measure(
+					'special',
+					'PassageReady',
+					() => _renderScoped(() => Wikifier.wikifyEval(Story.get('PassageReady').text, Story.get('PassageReady')))
+				);
 			}
 			catch (ex) {
 				console.error(ex);
@@ -555,21 +596,25 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		});
 		Object.keys(prerender).forEach(task => {
 			if (typeof prerender[task] === 'function') {
-				prerender[task].call(passage, passageEl, task);
+				Profiler.measure('task', task, () => prerender[task].call(passage, passageEl, task));
 			}
 		});
 
 		// Render the `PassageHeader` passage, if it exists, into the passage element.
 		if (Story.has('PassageHeader')) {
-			new Wikifier(passageEl, Story.get('PassageHeader').processText(), undefined, Story.get('PassageHeader'));
+			Profiler.measure('special', 'PassageHeader', () => _renderScoped(() => {
+				new Wikifier(passageEl, Story.get('PassageHeader').processText(), undefined, Story.get('PassageHeader'));
+			}));
 		}
 
 		// Render the passage into its element.
-		passageEl.appendChild(passage.render());
+		passageEl.appendChild(Profiler.measure('render', passage.title, () => _renderScoped(() => passage.render())));
 
 		// Render the `PassageFooter` passage, if it exists, into the passage element.
 		if (Story.has('PassageFooter')) {
-			new Wikifier(passageEl, Story.get('PassageFooter').processText(), undefined, Story.get('PassageHeader'));
+			Profiler.measure('special', 'PassageFooter', () => _renderScoped(() => {
+				new Wikifier(passageEl, Story.get('PassageFooter').processText(), undefined, Story.get('PassageHeader'));
+			}));
 		}
 
 		// Execute post-render events and tasks.
@@ -580,65 +625,23 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		});
 		Object.keys(postrender).forEach(task => {
 			if (typeof postrender[task] === 'function') {
-				postrender[task].call(passage, passageEl, task);
+				Profiler.measure('task', task, () => postrender[task].call(passage, passageEl, task));
 			}
 		});
 
 		// Cache the passage container.
 		const containerEl = document.getElementById('passages');
 
-		// Empty the passage container.
-		if (containerEl.hasChildNodes()) {
-			if (
-				   typeof Config.passages.transitionOut === 'number'
-				|| typeof Config.passages.transitionOut === 'string'
-				&& Config.passages.transitionOut !== ''
-				&& Has.transitionEndEvent
-			) {
-				[...containerEl.childNodes].forEach(outgoing => {
-					const $outgoing = jQuery(outgoing);
+		// Swap the passage element into the container, using the passage's transition, if any.
+		// SEE: `transition.js`.
+		const transition = Transition.resolve(passage);
 
-					if (outgoing.nodeType === Node.ELEMENT_NODE && $outgoing.hasClass('passage')) {
-						if ($outgoing.hasClass('passage-out')) {
-							return;
-						}
-
-						$outgoing
-							.attr({
-								id          : `out-${$outgoing.attr('id')}`,
-								'aria-live' : 'off'
-							})
-							.addClass('passage-out');
-
-						if (typeof Config.passages.transitionOut === 'string') {
-							$outgoing.on(Has.transitionEndEvent, ev => {
-								if (ev.propertyName === Config.passages.transitionOut) {
-									$outgoing.remove();
-								}
-							});
-						}
-						else {
-							setTimeout(
-								() => $outgoing.remove(),
-								Math.max(minDomActionDelay, Config.passages.transitionOut)
-							);
-						}
-					}
-					else {
-						$outgoing.remove();
-					}
-				});
-			}
-			else {
-				jQuery(containerEl).empty();
-			}
+		if (transition !== null) {
+			Transition.run(containerEl, passageEl, transition, passage);
+		}
+		else {
+			_swapPassageElements(containerEl, passageEl);
 		}
-
-		// Append the passage element to the passage container and set up its transition.
-		jQuery(passageEl)
-			.addClass('passage-in')
-			.appendTo(containerEl);
-		setTimeout(() => jQuery(passageEl).removeClass('passage-in'), minDomActionDelay);
 
 		// Update the story display title, if necessary.
 		if (Story.has('StoryDisplayTitle')) {
@@ -660,7 +663,11 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		// Execute post-display events, tasks, and the `PassageDone` special passage.
 		if (Story.has('PassageDone')) {
 			try {
-				passageDoneOutput = Wikifier.wikifyEval(Story.get('PassageDone').text, Story.get('PassageDone'));
+				passageDoneOutput = Profiler.measure(
+					'special',
+					'PassageDone',
+					() => _renderScoped(() => Wikifier.wikifyEval(Story.get('PassageDone').text, Story.get('PassageDone')))
+				);
 			}
 			catch (ex) {
 				console.error(ex);
@@ -675,7 +682,7 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		});
 		Object.keys(postdisplay).forEach(task => {
 			if (typeof postdisplay[task] === 'function') {
-				postdisplay[task].call(passage, task);
+				Profiler.measure('task', task, () => postdisplay[task].call(passage, task));
 			}
 		});
 
@@ -683,7 +690,9 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		if (_updating !== null) {
 			_updating.forEach(pair => {
 				jQuery(pair.element).empty();
-				new Wikifier(pair.element, Story.get(pair.passage).processText().trim(), undefined, pair.passage);
+				_renderScoped(() => {
+					new Wikifier(pair.element, Story.get(pair.passage).processText().trim(), undefined, pair.passage);
+				});
 			});
 		}
 		else if (Config.ui.updateStoryElements) {
@@ -738,6 +747,16 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 			.not('[tabindex]')
 			.attr('tabindex', 0);
 
+		// Catch changes to watched variables made outside of macros—e.g., by navigation or by
+		// `:passage*` event handlers.
+		State.checkWatches({ passage : passage.title, macro : null });
+
+		// Validate the story variables against the schema.  Replays of existing moments were
+		// checked when they were first played.
+		if (!noHistory) {
+			Schema.check('play');
+		}
+
 		// Handle autosaves.
 		switch (typeof Config.saves.autosave) {
 		case 'boolean':
@@ -773,6 +792,75 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		return passageEl;
 	}
 
+	/*
+		Replaces the passage elements within the given container with the given passage element,
+		transitioning them as set up by `Config.passages.transitionOut` and the `passage-in` and
+		`passage-out` classes—unless the user prefers reduced motion, in which case it's instant.
+	*/
+	function _swapPassageElements(containerEl, passageEl) {
+		const animate = !Transition.reducedMotion;
+
+		// Empty the passage container.
+		if (containerEl.hasChildNodes()) {
+			if (
+				animate && (
+					   typeof Config.passages.transitionOut === 'number'
+					|| typeof Config.passages.transitionOut === 'string'
+					&& Config.passages.transitionOut !== ''
+					&& Has.transitionEndEvent
+				)
+			) {
+				[...containerEl.childNodes].forEach(outgoing => {
+					const $outgoing = jQuery(outgoing);
+
+					if (outgoing.nodeType === Node.ELEMENT_NODE && $outgoing.hasClass('passage')) {
+						if ($outgoing.hasClass('passage-out')) {
+							return;
+						}
+
+						$outgoing
+							.attr({
+								id          : `out-${$outgoing.attr('id')}`,
+								'aria-live' : 'off'
+							})
+							.addClass('passage-out');
+
+						if (typeof Config.passages.transitionOut === 'string') {
+							$outgoing.on(Has.transitionEndEvent, ev => {
+								if (ev.propertyName === Config.passages.transitionOut) {
+									$outgoing.remove();
+								}
+							});
+						}
+						else {
+							setTimeout(
+								() => $outgoing.remove(),
+								Math.max(minDomActionDelay, Config.passages.transitionOut)
+							);
+						}
+					}
+					else {
+						$outgoing.remove();
+					}
+				});
+			}
+			else {
+				jQuery(containerEl).empty();
+			}
+		}
+
+		// Append the passage element to the passage container and set up its transition.
+		if (!animate) {
+			containerEl.appendChild(passageEl);
+			return;
+		}
+
+		jQuery(passageEl)
+			.addClass('passage-in')
+			.appendTo(containerEl);
+		setTimeout(() => jQuery(passageEl).removeClass('passage-in'), minDomActionDelay);
+	}
+
 
 	/*******************************************************************************************************************
 		Legacy Functions.
@@ -800,13 +888,221 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 			throw new Error(`Engine.display option parameter called with obsolete value "${option}"; please notify the developer`);
 		}
 
-		enginePlay(title, noHistory);
+		engineNavigate(title, noHistory);
+	}
+
+
+	/*******************************************************************************************************************
+		Navigation Guard Functions.
+	*******************************************************************************************************************/
+	/*
+		Adds a navigation guard, which is called before every navigation—other than the starting
+		passage, or reshowing the active moment—with a navigation object of the following form:
+
+			{
+				kind : The kind of navigation: 'play', 'back', 'forward', or 'goto'.
+				from : The title of the active passage.
+				to   : The title of the target passage.
+			}
+
+		The guard returns the verdict, or a promise of it:
+
+			true or undefined  → Allow the navigation.
+			false              → Cancel the navigation.
+			string             → Redirect to the passage with the given title, as a 'play'.
+
+		Guards are called in the order they were added, until one cancels.  A redirect is passed
+		on to the remaining guards as the new target.  While a promise is pending, the navigation
+		is deferred and any other navigation is ignored—triggering the `:navigationcancel` event,
+		with its `ignored` property set to `true`.  A guard which throws, or whose promise is
+		rejected, cancels the navigation and the error is reported.
+
+		NOTE: Guards must not navigate themselves, rather they should redirect.
+	*/
+	function guardsAdd(guard) {
+		if (typeof guard !== 'function') {
+			throw new TypeError(`Engine.guards.add guard parameter must be a function (received: ${typeof guard})`);
+		}
+
+		_guards.add(guard);
+	}
+
+	function guardsClear() {
+		_guards.clear();
+	}
+
+	function guardsDelete(guard) {
+		return _guards.delete(guard);
+	}
+
+	function guardsSize() {
+		return _guards.size;
+	}
+
+	/*
+		Returns whether a navigation is waiting on a deferred guard.
+	*/
+	function engineIsNavigating() {
+		return _navigating;
 	}
 
 
 	/*******************************************************************************************************************
 		Utility Functions.
 	*******************************************************************************************************************/
+	/*
+		Runs the navigation guards, then either calls the given navigation function, redirects,
+		or cancels.  Returns the result of the navigation, `false` if it was cancelled, or—if a
+		guard deferred—a promise of either.
+	*/
+	function _navigate(kind, to, navigate) {
+		if (_navigating) {
+			if (DEBUG) { console.log(`\tnavigation (${kind}) to "${to}" ignored, awaiting a guard`); }
+
+			jQuery.event.trigger({
+				type       : ':navigationcancel',
+				navigation : { kind, from : State.passage, to },
+				ignored    : true
+			});
+			return false;
+		}
+
+		if (_guards.size === 0) {
+			return navigate();
+		}
+
+		const nav     = { kind, from : State.passage, to };
+		const verdict = _guardsRun([..._guards], nav, 0);
+
+		if (verdict instanceof Promise) {
+			_navigating = true;
+			return verdict
+				.then(final => {
+					_navigating = false;
+					return _navigateApply(nav, final, navigate);
+				})
+				.catch(ex => {
+					console.error(ex);
+					Alert.error(`navigation (${kind}) to "${to}"`, ex && ex.message || String(ex));
+					return false;
+				})
+				.finally(() => {
+					_navigating = false;
+				});
+		}
+
+		return _navigateApply(nav, verdict, navigate);
+	}
+
+	/*
+		Calls the guards from the given index onward, returning the final navigation object, or
+		`null` if the navigation was cancelled—or a promise of either, if a guard deferred.
+	*/
+	function _guardsRun(guards, nav, index) {
+		let current = nav;
+
+		for (let i = index; i < guards.length; ++i) {
+			let verdict;
+
+			try {
+				verdict = guards[i](Object.freeze(Object.assign({}, current)));
+			}
+			catch (ex) {
+				_guardError(ex);
+				return null;
+			}
+
+			if (verdict && typeof verdict.then === 'function') {
+				const next = current;
+				return Promise.resolve(verdict).then(
+					resolved => {
+						const result = _guardVerdict(next, resolved);
+						return result === null ? null : _guardsRun(guards, result, i + 1);
+					},
+					ex => {
+						_guardError(ex);
+						return null;
+					}
+				);
+			}
+
+			current = _guardVerdict(current, verdict);
+
+			if (current === null) {
+				return null;
+			}
+		}
+
+		return current;
+	}
+
+	/*
+		Returns the navigation object resulting from the given guard verdict, or `null` if the
+		navigation was cancelled.
+	*/
+	function _guardVerdict(nav, verdict) {
+		if (verdict === false) {
+			return null;
+		}
+
+		if (typeof verdict === 'string') {
+			return { kind : 'play', from : nav.from, to : verdict };
+		}
+
+		if (verdict !== true && typeof verdict !== 'undefined') {
+			_guardError(new TypeError(`navigation guard returned an invalid verdict (received: ${typeof verdict})`));
+			return null;
+		}
+
+		return nav;
+	}
+
+	function _guardError(ex) {
+		console.error(ex);
+		Alert.error('navigation guard', typeof ex === 'object' ? ex.message : ex);
+	}
+
+	function _navigateApply(nav, final, navigate) {
+		if (final === null) {
+			jQuery.event.trigger({
+				type       : ':navigationcancel',
+				navigation : nav
+			});
+			return false;
+		}
+
+		// Redirects always play the new target.
+		if (final.to !== nav.to || final.kind !== nav.kind) {
+			return enginePlay(final.to);
+		}
+
+		return navigate();
+	}
+
+	/*
+		Returns the title of the moment at the given index, within the given branch if specified,
+		or `undefined` if there is no such moment.
+	*/
+	function _momentTitle(idx, branchId) {
+		if (branchId != null) { // lazy equality for null
+			const branch = State.branches.find(branch => branch.id === branchId);
+
+			if (branch && (idx == null || idx >= branch.base)) { // lazy equality for null
+				return idx == null ? branch.passages[branch.passages.length - 1] : branch.passages[idx - branch.base]; // lazy equality for null
+			}
+		}
+
+		const moment = State.history[idx];
+		return moment && moment.title;
+	}
+
+	/*
+		Calls the given render function within a new cancellation scope, returning its result.
+	*/
+	function _renderScoped(render) {
+		return new Wikifier.Scope().run(render);
+	}
+
 	function _hideOutlines() {
 		_outlinePatch.set('*:focus{outline:none;}');
 	}
@@ -842,7 +1138,20 @@ var Engine = (() => { // eslint-disable-line no-unused-vars, no-var
 		backward    : { value : engineBackward },
 		forward     : { value : engineForward },
 		show        : { value : engineShow },
-		play        : { value : enginePlay },
+		play        : { value : engineNavigate },
+
+		/*
+			Navigation Guard Functions.
+		*/
+		isNavigating : { value : engineIsNavigating },
+		guards       : {
+			value : Object.freeze(Object.defineProperties({}, {
+				add    : { value : guardsAdd },
+				clear  : { value : guardsClear },
+				delete : { value : guardsDelete },
+				size   : { get : guardsSize }
+			}))
+		},
 
 		/*
 			Legacy Functions.
@@ -38,6 +38,26 @@ const Links = (() => {
 		return str;
 	}
 
+	// find all visible .link-internal elements within content, then remove from them all skipElements unless they are also in includeElements
+	function findLinks(content, visibility) {
+		let links;
+		if (visibility) {
+			// using :hidden pseudo-class is preferred for telling actual visibility of the link, but it's not available at the passagerender time
+			links = $(content).find(".link-internal").not(":hidden");
+		} else {
+			links = $(content).find(".link-internal").filter((i, link) => getComputedStyle(link).display !== "none");
+		}
+		if (skipElements && includeElements) {
+			const goodies = $(content).find(includeElements);
+			const baddies = $(content).find(skipElements).not(goodies);
+			links = links.not(baddies);
+		} else if (skipElements) {
+			const baddies = $(content).find(skipElements);
+			links = links.not(baddies);
+		}
+		return links;
+	}
+
 	function generateLinkNumbers(content, visibility) {
 		if (!enabled || disableNumbers || V.options && !V.options.numberify_enabled) return;
 
@@ -50,21 +70,7 @@ const Links = (() => {
 		}
 		throttle = stamp;
 
-		// find all visible .link-internal elements, then remove from them all skipElements unless they are also in includeElements
-		if (visibility) {
-			// using :hidden pseudo-class is preferred for telling actual visibility of the link, but it's not available at the passagerender time
-			currentLinks = $(content).find(".link-internal").not(":hidden");
-		} else {
-			currentLinks = $(content).find(".link-internal").filter((i, link) => getComputedStyle(link).display !== "none");
-		}
-		if (skipElements && includeElements) {
-			const goodies = $(content).find(includeElements);
-			const baddies = $(content).find(skipElements).not(goodies);
-			currentLinks = currentLinks.not(baddies);
-		} else if (skipElements) {
-			const baddies = $(content).find(skipElements);
-			currentLinks = currentLinks.not(baddies);
-		}
+		currentLinks = findLinks(content, visibility);
 
 		for (let i = 0; i < currentLinks.length; i++) {
 			const el = currentLinks[i];
@@ -188,6 +194,7 @@ const Links = (() => {
 		init: { value: init },
 		generate: { value: generate },
 		generateLinkNumbers: { value: generateLinkNumbers },
+		findLinks: { value: findLinks },
 		pushTheButton:       { value: linkFollow },
 		numberPrepend:       { get() { return numberPrepend;    }, set(val) { numberPrepend = val; keyNumberMatcherUpdate(); } },
 		numberAppend:        { get() { return numberAppend;     }, set(val) { numberAppend = val; keyNumberMatcherUpdate(); } },
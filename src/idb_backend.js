@@ -12,7 +12,7 @@
  * generally though, just adding a "saveList" id or class to the div element where the saves should appear and replacing the function/macro that populates that div with "if (idb.active) idb.saveList(); else old-custom-way-of-building-save-menu" should be enough to make it work.
  */
 
-/* global State, Story, Save, clone */
+/* global State, Story, Save, Serial, Tabs, Util, clone */
 
 const idb = (() => {
 	"use strict";
@@ -26,6 +26,7 @@ const idb = (() => {
 		set active(_) { return false; },
 		get footerHTML() { return false; },
 		set footerHTML(_) { return false; },
+		thumbnail() { return null; },
 		/* eslint-enable brace-style */
 	});
 
@@ -36,6 +37,9 @@ const idb = (() => {
 	let _settings = {}; // persistent db settings stored in localStorage
 	updateSettings();
 	let _saveDetails = []; // cache so we don't have to query all items from details store on every page change
+	let _autosaving = null; // promise of the autosave being written, if any
+	let _writeQueue = Promise.resolve(); // setItem writes run one after another in the order they were requested
+	let _queuedWrites = 0; // writes in _writeQueue that haven't finished yet
 
 	function log(description, data, useClone) {
 		console.log(description, useClone ? clone(data) : data);
@@ -128,6 +132,7 @@ const idb = (() => {
 	/**
 	 * scan and stringify functions that wormed their way into story vars
 	 * and other objects with custom toJSON revivals
+	 * deprecated: saves are now sanitized with Serial.encode, which also keeps registered types intact
 	 *
 	 * @param {object} target to scan
 	 * @param {object} path to report
@@ -152,6 +157,7 @@ const idb = (() => {
 
 	/**
 	 * restore nuked functions and other nasty stuff
+	 * only needed for saves written before the switch to Serial
 	 *
 	 * @param {object} target store to alter
 	 * @param {array} paths to restore
@@ -185,6 +191,183 @@ const idb = (() => {
 		}
 	}
 
+	/**
+	 * registered save schema migrations, kept sorted by version
+	 * every save written by saveState is stamped with the highest registered version in its "schema" property,
+	 * older saves (including the ones without a stamp, which count as version 0) are walked through every step above it on load
+	 */
+	const _migrations = [];
+	let _lastMigrationReport = null;
+
+	/**
+	 * @returns {number} current save schema version
+	 */
+	function schemaVersion() {
+		return _migrations.length ? _migrations.last().version : 0;
+	}
+
+	/**
+	 * register a save contents migration step
+	 *
+	 * @param {number} version schema version the step upgrades saves to
+	 * @param {Function} migrate callback receiving (state, details), where state has decoded history. may alter state in place
+	 * @param {string} description optional human-readable summary for the reports
+	 */
+	function migrationAdd(version, migrate, description = "") {
+		if (!Number.isSafeInteger(version) || version < 1) throw new RangeError(`idb.migrations.add version must be a positive integer (received: ${version})`);
+		if (typeof migrate !== "function") throw new TypeError(`idb.migrations.add migrate parameter must be a function (received: ${typeof migrate})`);
+		if (_migrations.some(m => m.version === version)) throw new Error(`idb.migrations.add: a migration to version ${version} is already registered`);
+		_migrations.push({ version, migrate, description: String(description) });
+		_migrations.sort((a, b) => a.version - b.version);
+	}
+
+	/**
+	 * walk a decoded save state through every migration step above its schema version
+	 *
+	 * @param {object} state save state with decoded history
+	 * @param {object} details save details, passed to the steps for reference
+	 * @param {boolean} dryRun run the steps on a copy, leaving the state untouched
+	 * @returns {object} report: { from, to, dryRun, ok, steps: [{ version, description, ok, error }] }
+	 */
+	function migrateState(state, details, dryRun = false) {
+		const from = Number(state.schema) || 0;
+		const target = dryRun ? clone(state) : state;
+		const report = { from, to: from, dryRun, ok: true, steps: [] };
+		if (from > schemaVersion()) console.warn(`idb: save schema version ${from} is newer than the current one (${schemaVersion()})`);
+		for (const step of _migrations) {
+			if (step.version <= from) continue;
+			const entry = { version: step.version, description: step.description, ok: true };
+			report.steps.push(entry);
+			try {
+				step.migrate(target, clone(details));
+			} catch (ex) {
+				entry.ok = false;
+				entry.error = ex?.message || String(ex);
+				report.ok = false;
+				break; // don't apply later steps on top of a half-migrated save
+			}
+			target.schema = step.version;
+			report.to = step.version;
+		}
+		_lastMigrationReport = report;
+		return report;
+	}
+
+	/**
+	 * @param {object} report failed migration report, see migrateState
+	 * @returns {string} markup for UI.alert, in the same form as Save.verifyReport
+	 */
+	function migrationReportToMarkup(report) {
+		const items = report.steps
+			.filter(step => !step.ok)
+			.map(step => `<li>${Util.escape(L10n.get("savesMigrationStep", { version: step.version, error: step.error }))}</li>`)
+			.join("");
+		return `${L10n.get("savesMigrationFailed")}</p><ul>${items}</ul><p>`;
+	}
+
+	/**
+	 * check what loading a save would do to it without actually loading it
+	 *
+	 * @param {number} slot
+	 * @returns {Promise<object | false>} migration report or false if the slot is empty or damaged beyond repair
+	 */
+	async function migrationDryRun(slot) {
+		const data = await getItem(slot);
+		if (data == null) return false;
+		const state = data.data;
+		if (decodeState(state).fatal) return false;
+		const details = _saveDetails.find(d => d.slot === slot)?.data;
+		return migrateState(state, details, true);
+	}
+
+	/**
+	 * restore history and complex structures of a save state retrieved from the saves store, repairing what damage it can
+	 *
+	 * @param {object} state as stored in idb, updated in place to be ready for migrations and unmarshalling
+	 * @returns {object} verification report, see Save.verify
+	 */
+	function decodeState(state) {
+		// restore history, checking it for damage along the way
+		const report = Save.verify(state);
+		if (report.fatal) return report;
+		// restore complex structures
+		state.history.forEach(s => {
+			if (s.baddies) {
+				ekuNnuf(s.variables, s.baddies);
+				delete s.baddies;
+			}
+			Serial.decode(s.variables);
+		});
+		(state.branches || []).forEach(branch => (branch.history || []).forEach(s => Serial.decode(s.variables)));
+		return report;
+	}
+
+	/**
+	 * estimate the space taken by saves, see Save.usage.get
+	 *
+	 * @param {boolean} detailed whether to measure every save, which means reading all of them
+	 * @returns {Promise<object>} {backend, used, quota, saves: [{slot, size}]}
+	 */
+	async function usage(detailed = true) {
+		const saves = detailed ? (await getAllSaves()).map(item => ({ slot: item.slot, size: JSON.stringify(item.data).length })) : [];
+		const report = { backend: "indexedDB", used: saves.reduce((sum, save) => sum + save.size, 0), quota: null, saves };
+		// the browser knows better, but it counts everything the site stores, not just saves
+		if (navigator.storage?.estimate) {
+			const estimate = await navigator.storage.estimate();
+			report.used = estimate.usage;
+			report.quota = estimate.quota;
+		}
+		return report;
+	}
+
+	/**
+	 * check every save in the db without loading any of them, and flag the damaged ones
+	 *
+	 * @returns {Promise<Array>} list of {slot, report} for every damaged save
+	 */
+	async function verifyAll() {
+		const damaged = [];
+		for (const item of await getAllSaves()) {
+			const report = Save.verify(item.data, false);
+			await flagSlot(item.slot, report);
+			if (!report.ok) damaged.push({ slot: item.slot, report });
+		}
+		return damaged;
+	}
+
+	/**
+	 * record the outcome of a verification in the slot details, so that damaged saves stand out in the saves list
+	 *
+	 * @param {number} slot
+	 * @param {object} report verification report, see Save.verify
+	 * @returns {Promise | undefined} promise to report when it's written, or undefined if there's nothing to write
+	 */
+	function flagSlot(slot, report) {
+		const detailsItem = _saveDetails.find(d => d.slot === slot);
+		if (!detailsItem || report.ok && !detailsItem.data.damaged) return;
+		if (report.ok) delete detailsItem.data.damaged;
+		else detailsItem.data.damaged = report.problems.map(p => p.message);
+		return putDetails(detailsItem);
+	}
+
+	/**
+	 * write updated details of a save back into the details store, leaving save data as is
+	 *
+	 * @param {object} detailsItem {slot, data}, usually straight from _saveDetails
+	 */
+	async function putDetails(detailsItem) {
+		// drop the flags added while building the saves list
+		const data = Object.assign({}, detailsItem.data);
+		delete data.latestSlot;
+		delete data.saveUnlock;
+		delete data.slot;
+		const db = await openDB();
+		const transactionRequest = db.transaction(["details"], "readwrite");
+		transactionRequest.objectStore("details").put({ slot: detailsItem.slot, data });
+		await makePromise(transactionRequest).catch(err => log(`couldn't update save details in slot ${detailsItem.slot}`, err));
+		db.close();
+	}
+
 	/**
 	 * copy saves from localStorage into indexedDB, without regard for what's already in there
 	 *
@@ -303,13 +486,34 @@ const idb = (() => {
 	 * place a save object into saves store and a provided or calculated details object into details store
 	 * will replace existing object in specified slot without a second thought
 	 *
+	 * writes requested while another one is running wait for it instead of being dropped
+	 *
 	 * @param {number} slot slot to write into
 	 * @param {object} saveObj valid save object with unencoded history
 	 * @param {object} details optional save details to override what's going into details store
-	 * @returns {Promise | undefined} promise to report on success of this operation some day or return early
+	 * @returns {Promise<boolean>} whether the save was written
 	 */
-	async function setItem(slot, saveObj, details) {
-		if (_lock) return;
+	function setItem(slot, saveObj, details) {
+		_queuedWrites++;
+		const write = _writeQueue.then(() => writeItem(slot, saveObj, details)).finally(() => _queuedWrites--);
+		_writeQueue = write.catch(() => {});
+		return write;
+	}
+
+	/**
+	 * the actual write behind setItem, never call it directly
+	 *
+	 * @param {number} slot
+	 * @param {object} saveObj
+	 * @param {object} details
+	 * @returns {Promise<boolean>} whether the save was written
+	 */
+	async function writeItem(slot, saveObj, details) {
+		if (_lock) {
+			// something other than a write holds the database, report it instead of losing the save
+			log(`couldn't complete the save in slot ${slot}, the saves database is busy`);
+			return false;
+		}
 		if (saveObj == null || !Object.hasOwn(saveObj, "history")) return false;
 		_lock = true;
 
@@ -336,14 +540,10 @@ const idb = (() => {
 
 		// expect failures here
 		try {
-			// sanitize complex data structures that can't be stored in idb
-			let counter = 0; // only report problems for the first frame
-			saveObj.history.forEach(s => {
-				baddies.splice(0); // clear the baddies
-				funNuke(s.variables, "", !counter++); // wrap up new baddies
-				if (baddies.length) s.baddies = clone(baddies); // seal the records
-			});
-			if (_settings.useDelta && slot !== 0) {
+			// sanitize complex data structures that can't be stored in idb, registered types are wrapped to be revived on load
+			saveObj.history.forEach(s => Serial.encode(s.variables));
+			(saveObj.branches || []).forEach(branch => branch.history.forEach(s => Serial.encode(s.variables)));
+			if (_settings.useDelta && slot > 0) {
 				// compress the history, some games are really space-hungry
 				// autosaves are exempt because performance reasons
 				saveObj.delta = State.deltaEncode(saveObj.history);
@@ -358,15 +558,17 @@ const idb = (() => {
 			transactionRequest.objectStore("details").delete(slot);
 			transactionRequest.objectStore("details").add(detailsItem);
 
-			const result = await makePromise(transactionRequest).catch(err => log(`couldn't put idb item in slot ${slot}`, err));
+			const result = await makePromise(transactionRequest).then(() => true, err => {
+				log(`couldn't put idb item in slot ${slot}`, err);
+				return false;
+			});
 			db.close();
 			return result;
 		} catch (ex) {
 			// admit the defeat and go home
-			log(`idb.setItem failure unknown. Couldn't complete the save in slot ${slot}`);
+			log(`idb.setItem failure. Couldn't complete the save in slot ${slot}`, ex?.message || String(ex));
 			_lock = false;
-			// return a promise, because some code down the line expects .then()
-			return new Promise(resolve => resolve(false));
+			return false;
 		}
 	}
 
@@ -381,11 +583,14 @@ const idb = (() => {
 		const db = await openDB();
 
 		_lock = true;
-		const transactionRequest = db.transaction(["saves", "details"], "readwrite");
-		transactionRequest.objectStore("saves").delete(slot);
-		transactionRequest.objectStore("details").delete(slot);
-		const result = await makePromise(transactionRequest);
+		const result = await withSlotLock(slot, () => {
+			const transactionRequest = db.transaction(["saves", "details"], "readwrite");
+			transactionRequest.objectStore("saves").delete(slot);
+			transactionRequest.objectStore("details").delete(slot);
+			return makePromise(transactionRequest);
+		});
 		db.close();
+		Tabs.notify("idb", slot);
 		await getSaveDetails();
 		return result;
 	}
@@ -400,46 +605,148 @@ const idb = (() => {
 		const data = await getItem(slot);
 		if (data == null) return false;
 		const state = data.data;
-		// restore history
-		if (state.delta) {
-			state.history = State.deltaDecode(state.delta);
-			delete state.delta;
+		// check the save before anything gets a chance to choke on it
+		const verification = decodeState(state);
+		await flagSlot(slot, verification);
+		// let the caller close the saves dialog first
+		const alertLater = markup => setTimeout(() => UI.alert(markup), Engine.minDomActionDelay);
+		const verifyMarkup = verification.ok ? "" : Save.verifyReport(verification);
+		if (verification.fatal) {
+			alertLater(`${verifyMarkup}${L10n.get("aborting")}.`);
+			return false;
 		}
-		// restore complex structures
-		state.history.forEach(s => {
-			if (s.baddies) {
-				ekuNnuf(s.variables, s.baddies);
-				delete s.baddies;
-			}
-		});
-		// reconstruct fullSaveObj expected by onLoad
 		const details = _saveDetails.find(d => d.slot === slot)?.data;
+		// bring save contents up to the current schema
+		const report = migrateState(state, details);
+		if (!report.ok) {
+			console.warn(`idb: couldn't migrate save in slot ${slot}`, report);
+			alertLater(`${verifyMarkup}${migrationReportToMarkup(report)}${L10n.get("aborting")}.`);
+			return false;
+		}
+		if (verifyMarkup) alertLater(verifyMarkup);
+		// reconstruct fullSaveObj expected by onLoad
 		state.idx = details.idx;
 		const fullSaveObj = Object.assign({ state }, details);
 		Save.onLoad.handlers.forEach(fn => fn(fullSaveObj));
 		State.unmarshalForSave(state);
 		State.show();
+		return verification;
+	}
+
+	// limits for the snapshot attached to save details, these are loaded every time the saves list opens
+	const _thumbnailMaxLength = 48 * 1024;
+	const _summaryMaxLength = 2048;
+
+	/**
+	 * downscale an image, canvas or video into a jpeg data url small enough to serve as a save thumbnail
+	 * intended for use in Save.onSave handlers, e.g. `Save.onSave.add(save => save.thumbnail = idb.thumbnail(document.querySelector("#portrait img")))`
+	 *
+	 * @param {CanvasImageSource} source
+	 * @param {number} [width=160] maximum width
+	 * @param {number} [height=90] maximum height
+	 * @returns {string | null} data url or null if the source can't be drawn
+	 */
+	function thumbnail(source, width = 160, height = 90) {
+		try {
+			const sourceWidth = source.naturalWidth || source.videoWidth || source.width;
+			const sourceHeight = source.naturalHeight || source.videoHeight || source.height;
+			if (!sourceWidth || !sourceHeight) return null;
+			const scale = Math.min(width / sourceWidth, height / sourceHeight, 1);
+			const canvas = document.createElement("canvas");
+			canvas.width = Math.max(1, Math.round(sourceWidth * scale));
+			canvas.height = Math.max(1, Math.round(sourceHeight * scale));
+			canvas.getContext("2d").drawImage(source, 0, 0, canvas.width, canvas.height);
+			return canvas.toDataURL("image/jpeg", 0.7);
+		} catch (ex) {
+			// cross-origin images taint the canvas, broken ones can't be drawn at all
+			console.warn("couldn't make a save thumbnail", ex);
+			return null;
+		}
+	}
+
+	/**
+	 * make sure the thumbnail and summary attached by onSave handlers are small enough for the details store and survive structured cloning
+	 * the thumbnail may be an image data url or anything idb.thumbnail accepts, the summary may be an html string or a dom node
+	 *
+	 * @param {object} details save details, updated in place
+	 */
+	function prepareSnapshot(details) {
+		if (details.thumbnail != null && typeof details.thumbnail !== "string") details.thumbnail = thumbnail(details.thumbnail);
+		if (details.summary instanceof Node) {
+			const wrapper = document.createElement("div");
+			wrapper.appendChild(details.summary.cloneNode(true));
+			details.summary = wrapper.innerHTML;
+		}
+		validateSnapshot(details);
+	}
+
+	/**
+	 * drop a thumbnail or summary that isn't an image data url or a string, or is too big
+	 * run on everything written to the details store, since details can also come from a backup file
+	 *
+	 * @param {object} details save details, updated in place
+	 */
+	function validateSnapshot(details) {
+		if (details.thumbnail == null) delete details.thumbnail;
+		else if (!isThumbnailUrl(details.thumbnail)) {
+			console.warn(`save thumbnail dropped, expected an image data url under ${_thumbnailMaxLength} characters`);
+			delete details.thumbnail;
+		}
+
+		if (details.summary == null) delete details.summary;
+		else if (typeof details.summary !== "string" || details.summary.length > _summaryMaxLength) {
+			console.warn(`save summary dropped, expected an html string under ${_summaryMaxLength} characters`);
+			delete details.summary;
+		}
+	}
+
+	/**
+	 * @param {*} url
+	 * @returns {boolean} whether url is an image data url small enough to be a thumbnail
+	 */
+	function isThumbnailUrl(url) {
+		return typeof url === "string" && url.startsWith("data:image/") && url.length <= _thumbnailMaxLength;
+	}
+
+	/**
+	 * the summary is only ever shown as text, so markup in it can't run anything
+	 * it's parsed in an inert document, which neither runs scripts nor loads resources
+	 *
+	 * @param {string} summary html string
+	 * @returns {string} its text content
+	 */
+	function summaryText(summary) {
+		return new DOMParser().parseFromString(String(summary), "text/html").body.textContent;
 	}
 
 	/**
 	 * save current game into idb
+	 * the game state is captured synchronously, before anything is awaited
 	 *
-	 * @param {number} slot
+	 * @param {number|function(): Promise<number>} slot or a function resolving to it, called once the state has been captured
 	 * @param {string} title
 	 * @param {object} metadata
+	 * @returns {Promise<boolean>} whether the game was saved
 	 */
 	async function saveState(slot, title, metadata) {
-		if (_lock) return;
+		// a pending write holds the lock too, but setItem queues behind it
+		if (_lock && !_queuedWrites) {
+			log("couldn't save, the saves database is busy");
+			return false;
+		}
 
 		// assign V.saveId if necessary
 		if (!V.saveId) {
 			const saveId = Math.floor(Math.random() * 90000) + 10000;
 			V.saveId = saveId;
 			State.history.forEach(s => s.variables.saveId = saveId);
+			State.measure(); // the moments just grew
 		}
 
 		// saveObj goes into saves db, the rest goes into details db
 		const saveObj = State.marshalForSave();
+		// stamp the schema version so future migrations know where to start
+		if (saveObj != null) saveObj.schema = schemaVersion();
 		// we combine state and details into a single big object because that's what onSave expects
 		const fullSaveObj = {
 			state: saveObj,
@@ -447,25 +754,128 @@ const idb = (() => {
 			id: Story.domId,
 			idx: State.qc,
 			title: title || Story.get(State.passage).description(),
+			passage: State.passage,
 		};
 		if (metadata != null) fullSaveObj.metadata = metadata;
 
 		// run onSave handlers
-		Save.onSave.handlers.forEach(fn => fn(fullSaveObj, { type: slot <= 0 ? "autosave" : "slot" }));
+		Save.onSave.handlers.forEach(fn => fn(fullSaveObj, { type: typeof slot === "function" || slot <= 0 ? "autosave" : "slot" }));
 
 		// weird as object pointers are in js, it is now safe to remove .state from fullSaveObj, leaving only save details. so, let's rename it to reflect that
 		const details = fullSaveObj;
 		delete details.state;
+		prepareSnapshot(details);
 
 		// finally, send everything to idb and synchronize _saveDetails
 		if (saveObj != null) {
-			await setItem(slot, saveObj, details);
+			const target = typeof slot === "function" ? await slot() : slot;
+			// other tabs have to wait for their turn to write this slot
+			const written = await withSlotLock(target, () => setItem(target, saveObj, details));
+			if (!written) return false;
+			Tabs.notify("idb", target);
 			await getSaveDetails();
+			// warn the player before the next save fails for lack of space
+			if (navigator.storage?.estimate) navigator.storage.estimate().then(estimate => Save.usage.check(estimate.usage, estimate.quota));
 			return true;
 		}
 		return false;
 	}
 
+	/**
+	 * list the slots of the rotating autosave ring, newest position first
+	 * slot 0 is always part of the ring, extra autosaves go into negative slots
+	 *
+	 * @returns {Array<number>} e.g. [0, -1, -2] for Config.saves.maxAutosaves = 3
+	 */
+	function autosaveSlots() {
+		const count = Config.saves.maxAutosaves || 1;
+		return Array.from({ length: count }, (_, i) => i ? -i : 0);
+	}
+
+	/**
+	 * @param {number} slot
+	 * @returns {boolean} whether the slot belongs to the autosave ring
+	 */
+	function isAutosaveSlot(slot) {
+		return slot <= 0 && slot > -(Config.saves.maxAutosaves || 1);
+	}
+
+	/**
+	 * @returns {number} slot of the most recent autosave in the ring, 0 if there are none
+	 */
+	function latestAutosaveSlot() {
+		let latest = { slot: 0, date: 0 };
+		_saveDetails.forEach(d => {
+			if (isAutosaveSlot(d.slot) && d.data.date > latest.date) latest = { slot: d.slot, date: d.data.date };
+		});
+		return latest.slot;
+	}
+
+	/**
+	 * @returns {number} slot the next autosave goes into: the first empty one in the ring, otherwise the oldest
+	 */
+	function nextAutosaveSlot() {
+		let oldest = null;
+		for (const slot of autosaveSlots()) {
+			const details = _saveDetails.find(d => d.slot === slot);
+			if (details == null) return slot;
+			if (oldest == null || details.data.date < oldest.date) oldest = { slot, date: details.data.date };
+		}
+		return oldest.slot;
+	}
+
+	/**
+	 * save current game into the autosave ring, overwriting the oldest autosave when it's full
+	 *
+	 * @param {string} title
+	 * @param {object} metadata
+	 */
+	function autosave(title, metadata) {
+		if (_lock && !_queuedWrites) return Promise.resolve();
+		const previous = _autosaving;
+		// the state is captured right away, so navigating while the write is pending doesn't change what gets saved
+		const current = saveState(async () => {
+			// wait for the previous autosave, so both don't pick the same slot of the ring
+			if (previous) await previous.catch(() => {});
+			if (!_saveDetails.length) await getSaveDetails(); // the ring needs to know what's already in there
+			return nextAutosaveSlot();
+		}, title, metadata).finally(() => {
+			if (_autosaving === current) _autosaving = null;
+		});
+		_autosaving = current;
+		return current;
+	}
+
+	/**
+	 * load the most recent autosave in the ring
+	 */
+	async function loadAutosave() {
+		if (_lock) return;
+		if (!_saveDetails.length) await getSaveDetails();
+		return loadState(latestAutosaveSlot());
+	}
+
+	/**
+	 * @param {number} slot
+	 * @param {boolean} verbose use "auto" instead of short "A" for autosaves
+	 * @returns {string | number} slot label for display
+	 */
+	function slotLabel(slot, verbose) {
+		if (slot > 0) return slot;
+		const prefix = verbose ? "auto" : "A";
+		// slot 0 keeps its old label, the rest of the ring is numbered from the second position
+		if (slot === 0) return prefix;
+		return verbose ? `${prefix} ${1 - slot}` : `${prefix}${1 - slot}`;
+	}
+
+	// keep up with saves written by other tabs, and show them if the saves list is open
+	jQuery(document).on(":tabwrite", ev => {
+		if (ev.store !== "idb" || !_active) return;
+		getSaveDetails().then(() => {
+			if (document.getElementById("saves-list-container")) saveList("show saves");
+		});
+	});
+
 	/**
 	 * retrieve details for all saves from idb and also cache them to _saveDetails for fast retrieval
 	 *
@@ -511,7 +921,195 @@ const idb = (() => {
 		transactionRequest.objectStore("details").clear();
 		_saveDetails = [];
 
-		return makePromise(transactionRequest);
+		return makePromise(transactionRequest).then(result => {
+			Tabs.notify("idb");
+			return result;
+		});
+	}
+
+	/**
+	 * cyrb53, a small non-cryptographic hash, good enough to catch damaged or hand-edited backups
+	 *
+	 * @param {string} str
+	 * @returns {string} hex digest
+	 */
+	function checksum(str) {
+		let h1 = 0xdeadbeef;
+		let h2 = 0x41c6ce57;
+		for (let i = 0; i < str.length; i++) {
+			const ch = str.charCodeAt(i);
+			h1 = Math.imul(h1 ^ ch, 2654435761);
+			h2 = Math.imul(h2 ^ ch, 1597334677);
+		}
+		h1 = Math.imul(h1 ^ h1 >>> 16, 2246822507) ^ Math.imul(h2 ^ h2 >>> 13, 3266489909);
+		h2 = Math.imul(h2 ^ h2 >>> 16, 2246822507) ^ Math.imul(h1 ^ h1 >>> 13, 3266489909);
+		return (4294967296 * (2097151 & h2) + (h1 >>> 0)).toString(16);
+	}
+
+	const _backupFormat = "idb-backup";
+	const _backupVersion = 1;
+
+	/**
+	 * dump every slot, its details and the idb settings into a single backup file
+	 * the payload is kept as a string inside the backup, so its checksum doesn't depend on how it's parsed back
+	 *
+	 * @returns {Promise<boolean>} whether the backup was generated
+	 */
+	async function exportBackup() {
+		if (_lock) return false;
+		const saves = await getAllSaves();
+		const details = await getSaveDetails();
+		const payload = JSON.stringify({ id: Story.domId, date: Date.now(), settings: _settings, saves, details });
+		const backup = { format: _backupFormat, version: _backupVersion, checksum: checksum(payload), payload };
+
+		const now = new Date();
+		const datestamp = [now.getFullYear(), now.getMonth() + 1, now.getDate()].map(n => String(n).padStart(2, "0")).join("");
+		const timestamp = [now.getHours(), now.getMinutes(), now.getSeconds()].map(n => String(n).padStart(2, "0")).join("");
+		const fileName = `${Story.domId}-${datestamp}-${timestamp}.backup.save`;
+		saveAs(new Blob([LZString.compressToBase64(JSON.stringify(backup))], { type: "text/plain;charset=UTF-8" }), fileName);
+		return true;
+	}
+
+	/**
+	 * unpack and verify backup file contents
+	 *
+	 * @param {string} text backup file contents
+	 * @returns {object} backup data: { id, date, settings, saves, details }
+	 * @throws {Error} with a player-readable message if the backup can't be used
+	 */
+	function parseBackup(text) {
+		let backup;
+		try {
+			backup = JSON.parse(LZString.decompressFromBase64(String(text).trim()));
+		} catch (ex) {
+			backup = null;
+		}
+		if (backup?.format !== _backupFormat || typeof backup.payload !== "string" || backup.version > _backupVersion) {
+			throw new Error(L10n.get("savesBackupInvalid"));
+		}
+		if (checksum(backup.payload) !== backup.checksum) throw new Error(L10n.get("savesBackupChecksum"));
+		const data = JSON.parse(backup.payload);
+		if (data.id !== Story.domId) throw new Error(L10n.get("savesBackupIdMismatch"));
+		validateBackup(data);
+		return data;
+	}
+
+	/**
+	 * check the structure of backup data, a valid checksum only proves the file wasn't damaged, not that it's sane
+	 *
+	 * @param {object} data parsed backup data
+	 * @throws {Error} with a player-readable message if anything in it can't be written into idb
+	 */
+	function validateBackup(data) {
+		const isObject = value => value != null && typeof value === "object" && !Array.isArray(value);
+		const valid = isObject(data)
+			&& (data.settings == null || isObject(data.settings))
+			&& Array.isArray(data.saves)
+			&& Array.isArray(data.details)
+			&& data.saves.every(item => isObject(item) && Number.isSafeInteger(item.slot)
+				&& isObject(item.data) && (Array.isArray(item.data.history) || Array.isArray(item.data.delta)))
+			&& new Set(data.saves.map(item => item.slot)).size === data.saves.length
+			&& data.details.every(item => isObject(item) && isObject(item.data) && data.saves.some(save => save.slot === item.slot));
+		if (!valid) throw new Error(L10n.get("savesBackupInvalid"));
+	}
+
+	/**
+	 * file input change handler, reads the backup and opens the import confirmation
+	 *
+	 * @param {Event} ev
+	 */
+	function importBackup(ev) {
+		const file = ev.target.files[0];
+		if (!file) return;
+		const reader = new FileReader();
+		reader.onloadend = () => {
+			let backup;
+			try {
+				if (reader.error) throw reader.error;
+				backup = parseBackup(reader.result);
+			} catch (ex) {
+				return saveList("confirm import", { error: ex.message });
+			}
+			saveList("confirm import", backup);
+		};
+		reader.readAsText(file);
+	}
+
+	/**
+	 * write backup contents into idb
+	 *
+	 * @param {object} backup parsed backup data
+	 * @param {string} mode "replace" wipes all slots and restores backed up settings, "merge" only adds to what's already there
+	 * @param {object} resolutions what to do with imported slots that are already in use: { [slot]: "keep" | "overwrite" | "free" }, defaults to "free"
+	 * @returns {Promise<object | false>} map of backed up slot to the slot it ended up in, or false if idb is busy, rejects if the backup couldn't be written
+	 */
+	function restoreBackup(backup, mode = "merge", resolutions = {}) {
+		if (_lock) return Promise.resolve(false);
+		// hold the whole store, so other tabs can't write any slot while it's being cleared or filled
+		return Tabs.withLock("store", async () => {
+			validateBackup(backup);
+			if (mode === "replace") {
+				await clearAll();
+				if (backup.settings) {
+					localStorage.setItem("idb-settings", JSON.stringify(backup.settings));
+					updateSettings();
+				}
+			} else await getSaveDetails();
+
+			const taken = new Set(_saveDetails.map(d => d.slot));
+			const targets = {};
+			// slots that stay where they were go first, so free slots don't get assigned on top of them
+			backup.saves.forEach(item => {
+				const resolution = taken.has(item.slot) ? resolutions[item.slot] || "free" : "overwrite";
+				if (resolution === "overwrite") targets[item.slot] = item.slot;
+			});
+			Object.values(targets).forEach(slot => taken.add(slot));
+			let freeSlot = 1;
+			backup.saves.forEach(item => {
+				if (item.slot in targets || resolutions[item.slot] === "keep") return;
+				while (taken.has(freeSlot)) freeSlot++;
+				targets[item.slot] = freeSlot;
+				taken.add(freeSlot);
+			});
+
+			const db = await openDB();
+			try {
+				_lock = true;
+				const transactionRequest = db.transaction(["saves", "details"], "readwrite");
+				backup.saves.forEach(item => {
+					if (!(item.slot in targets)) return;
+					const slot = targets[item.slot];
+					const detailsItem = backup.details.find(d => d.slot === item.slot);
+					transactionRequest.objectStore("saves").put({ slot, data: item.data });
+					if (detailsItem) {
+						validateSnapshot(detailsItem.data);
+						transactionRequest.objectStore("details").put({ slot, data: detailsItem.data });
+					}
+				});
+				await makePromise(transactionRequest);
+			} catch (err) {
+				log("couldn't restore idb backup", err);
+				throw err;
+			} finally {
+				// put() can throw before the transaction has a chance to release the lock
+				_lock = false;
+				Tabs.notify("idb");
+				db.close();
+			}
+			await getSaveDetails();
+			return targets;
+		});
+	}
+
+	/**
+	 * run a function while holding the lock of a slot, and a shared hold on the whole store so a backup can't be restored meanwhile
+	 *
+	 * @param {number} slot
+	 * @param {Function} fn may be async, the locks are held until it settles
+	 * @returns {Promise} resolves to what fn returned
+	 */
+	function withSlotLock(slot, fn) {
+		return Tabs.withLock("store", () => Tabs.withLock(`slot:${slot}`, fn), { mode: "shared" });
 	}
 
 	/**
@@ -532,6 +1130,44 @@ const idb = (() => {
 	let latestSave = { slot: 1, date: 0 }; // keep track of the most recent save, separately from autosave on slot 0
 	let extraSaveWarn;
 	let footerHTML = ""; // add some text to fill empty space at the deleteAll button
+	let listFilter = ""; // search query, words must all be found in a save's text, #words in its tags
+	let listSort = "slot"; // "slot" pages through slots by index, anything else is a Save.comparator key
+	let listSortReverse = false;
+	let listPageCount = listPageMax; // number of pages the pager allows, fewer when searching
+
+	/**
+	 * check whether a save matches a search query
+	 * plain words are looked up in the title, passage, save name and other metadata, #words have to match one of the tags
+	 *
+	 * @param {object} item save details item, {slot, data}
+	 * @param {string} query
+	 * @returns {boolean}
+	 */
+	function matchSave(item, query) {
+		const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+		if (!words.length) return true;
+		const details = item.data;
+		const tags = (details.tags || []).map(tag => tag.toLowerCase());
+		const text = [slotLabel(item.slot, true), details.title, details.passage, ...Object.values(details.metadata || {}), ...tags].join("\n").toLowerCase();
+		return words.every(word => word.startsWith("#") && word.length > 1 ? tags.includes(word.slice(1)) : text.includes(word));
+	}
+
+	/**
+	 * set the tags of a save
+	 *
+	 * @param {number} slot
+	 * @param {Array<string>} tags
+	 */
+	async function setTags(slot, tags) {
+		const detailsItem = _saveDetails.find(d => d.slot === slot);
+		if (!detailsItem) return;
+		// tags are single words, so that they can be searched for with #tag
+		tags = [...new Set(tags.map(tag => String(tag).trim().replace(/\s+/g, "_")).filter(Boolean))];
+		if (tags.length) detailsItem.data.tags = tags;
+		else delete detailsItem.data.tags;
+		await putDetails(detailsItem);
+		Tabs.notify("idb", slot);
+	}
 
 	/**
 	 * construct a saves list page, with configurable length
@@ -543,16 +1179,19 @@ const idb = (() => {
 	function generateSavesPage(page = listPage - 1, length = listLength) {
 		const listContainer = document.createElement("div");
 		listContainer.id = "saves-list-container";
+		// reserve room for thumbnails only if there are any to show
+		if (_saveDetails.some(d => isThumbnailUrl(d.data.thumbnail))) listContainer.className = "savesWithThumbnails";
 		listContainer.appendChild(generateHeaderRow());
 		// cache whether saves are allowed
 		const saveUnlock = savesAllowed();
 
 		// find the most recent save that is not autosave
 		latestSave = { slot: 1, date: 0 }; // re-init latest slot every time
-		let autoSaveDate; // store timestamp for the autosave separately
+		let autoSaveDate; // store timestamp for the most recent autosave separately
 		_saveDetails.forEach(d => {
-			if (d.slot === 0) autoSaveDate = d.data.date;
-			else if (d.data.date > latestSave.date) {
+			if (d.slot <= 0) {
+				if (isAutosaveSlot(d.slot) && (autoSaveDate == null || d.data.date > autoSaveDate)) autoSaveDate = d.data.date;
+			} else if (d.data.date > latestSave.date) {
 				latestSave.slot = d.slot;
 				latestSave.date = d.data.date;
 			}
@@ -575,8 +1214,9 @@ const idb = (() => {
 			// autosave is shown on every page, so if autosave is the most recent save - open the page with the most recent non-autosave with the same ID
 			const latestSlot = _saveDetails.find(d => d.slot === latestSave.slot);
 			if (latestSlot) {
-				const autoSaveExists = Boolean(_saveDetails.find(d => d.slot === 0));
-				const ignoreAutoSave = latestSlot.data.date > autoSaveDate || latestSlot.data.metadata.saveId === _saveDetails[0].data.metadata.saveId;
+				const latestAutoSave = _saveDetails.find(d => d.slot === latestAutosaveSlot());
+				const autoSaveExists = Boolean(latestAutoSave);
+				const ignoreAutoSave = latestSlot.data.date > autoSaveDate || latestSlot.data.metadata.saveId === latestAutoSave?.data.metadata.saveId;
 				if (!autoSaveExists || ignoreAutoSave) page = Math.floor((latestSave.slot - 1) / length);
 				else page = 0;
 			} else page = 0;
@@ -592,12 +1232,43 @@ const idb = (() => {
 		// default object details for an empty slot
 		const defaultDetailsObj = { date: "", title: "", metadata: { saveId: "", saveName: "" } };
 
-		// always show autosave on top
-		const autoDetailsObj = _saveDetails.find(d => d.slot === 0)?.data ?? clone(defaultDetailsObj);
-		if (autoSaveDate > latestSave.date) autoDetailsObj.latestSlot = true;
-		autoDetailsObj.slot = 0;
-		// don't show if autosaves are disabled by the engine
-		if (Save.autosave.ok())	listContainer.appendChild(generateSaveRow(autoDetailsObj));
+		// searching or sorting lists only the existing saves, autosaves included, in the requested order
+		if (listFilter || listSort !== "slot" || listSortReverse) {
+			const matches = _saveDetails.filter(d => matchSave(d, listFilter));
+			if (listSort !== "slot") {
+				const compare = Save.comparator(listSort, listSort === "date" !== listSortReverse);
+				matches.sort((a, b) => compare(a.data, b.data));
+			} else if (listSortReverse) matches.reverse();
+			listPageCount = Math.clamp(Math.ceil(matches.length / length), 1, listPageMax);
+			listPage = Math.clamp(listPage, 1, listPageCount);
+			matches.slice((listPage - 1) * length, listPage * length).forEach(d => {
+				const detailsObj = d.data;
+				detailsObj.slot = d.slot;
+				detailsObj.saveUnlock = saveUnlock;
+				listContainer.appendChild(generateSaveRow(detailsObj));
+			});
+			if (!matches.length) listContainer.appendChild(generateSectionRow(L10n.get("savesSearchEmpty")));
+			return listContainer;
+		}
+		listPageCount = listPageMax;
+
+		// always show autosaves on top, don't show if autosaves are disabled by the engine
+		if (Save.autosave.ok()) {
+			const ring = autosaveSlots();
+			if (ring.length > 1) listContainer.appendChild(generateSectionRow(L10n.get("savesHeaderAutosaves")));
+			// slot 0 is always shown, the rest of the ring only when it's been written to, newest first
+			const autoDetails = ring
+				.map(slot => ({ slot, data: _saveDetails.find(d => d.slot === slot)?.data }))
+				.filter(d => d.slot === 0 || d.data != null)
+				.sort((a, b) => (b.data?.date || 0) - (a.data?.date || 0));
+			autoDetails.forEach(d => {
+				const autoDetailsObj = d.data ?? clone(defaultDetailsObj);
+				if (autoSaveDate > latestSave.date && autoDetailsObj.date === autoSaveDate) autoDetailsObj.latestSlot = true;
+				autoDetailsObj.slot = d.slot;
+				listContainer.appendChild(generateSaveRow(autoDetailsObj));
+			});
+			if (ring.length > 1) listContainer.appendChild(generateSectionRow(L10n.get("savesHeaderSlots")));
+		}
 
 		// main loop for adding the save rows
 		for (let slot = length * page + 1; slot < length * (page + 1) + 1; slot++) {
@@ -661,6 +1332,20 @@ const idb = (() => {
 		return frag;
 	}
 
+	/**
+	 * construct a row separating sections of the save list
+	 *
+	 * @param {string} text section title
+	 * @returns {HTMLDivElement} section row
+	 */
+	function generateSectionRow(text) {
+		const row = document.createElement("div");
+		row.className = "savesListRow savesListSection";
+		row.innerText = text;
+
+		return row;
+	}
+
 	/**
 	 * construct the footer row for the save list
 	 * warning: unnecessarily complicated DOM manipulations
@@ -716,6 +1401,39 @@ const idb = (() => {
 		li.appendChild(importButton);
 		container.appendChild(li);
 
+		// export whole database button
+		const exportAllButton = document.createElement("button");
+		exportAllButton.id = "saves-export-all";
+		exportAllButton.className = "saveMenuButton";
+		exportAllButton.innerText = L10n.get("savesLabelExportAll");
+		exportAllButton.onclick = () => exportBackup();
+		li = document.createElement("li");
+		li.appendChild(exportAllButton);
+		container.appendChild(li);
+
+		// import whole database button
+		const importAllButton = document.createElement("button");
+		importAllButton.id = "saves-import-all";
+		importAllButton.className = "saveMenuButton";
+		importAllButton.innerText = L10n.get("savesLabelImportAll");
+		importAllButton.onclick = () => jQuery(document.createElement("input"))
+			.prop("type", "file")
+			.on("change", importBackup)
+			.trigger("click");
+		li = document.createElement("li");
+		li.appendChild(importAllButton);
+		container.appendChild(li);
+
+		// check all saves button
+		const verifyButton = document.createElement("button");
+		verifyButton.id = "saves-verify";
+		verifyButton.className = "saveMenuButton";
+		verifyButton.innerText = L10n.get("savesLabelVerify");
+		verifyButton.onclick = () => verifyAll().then(damaged => saveList("verify report", damaged));
+		li = document.createElement("li");
+		li.appendChild(verifyButton);
+		container.appendChild(li);
+
 		// delete all saves button
 		const clearAllButton = document.createElement("button");
 		clearAllButton.className = "saves-clear saveMenuButton";
@@ -751,7 +1469,7 @@ const idb = (() => {
 		// save row to be returned
 		const row = document.createElement("div");
 		// add a fancy transition that would highlight the row with this id
-		if (details.latestSlot && details.slot !== 0) row.id = "latestSaveRow";
+		if (details.latestSlot && details.slot > 0) row.id = "latestSaveRow";
 		row.className = "savesListRow";
 
 		// save group container
@@ -761,8 +1479,13 @@ const idb = (() => {
 		// save ID
 		const saveId = document.createElement("div");
 		saveId.className = "saveId";
-		saveId.innerText = details.slot === 0 ? "A" : details.slot;
-		if (details.slot > listPageMax * listLengthMax || details.slot < 0) saveId.classList.add("red");
+		saveId.innerText = slotLabel(details.slot);
+		if (details.slot > listPageMax * listLengthMax || details.slot < 0 && !isAutosaveSlot(details.slot)) saveId.classList.add("red");
+		// flag saves that failed verification
+		if (details.damaged) {
+			saveId.classList.add("red");
+			saveId.title = `${L10n.get("savesVerifyDamaged")}:\n${details.damaged.join("\n")}`;
+		}
 
 		// save/load buttons container
 		const saveload = document.createElement("div");
@@ -787,7 +1510,7 @@ const idb = (() => {
 		} else {
 			loadButton.disabled = true;
 		}
-		if (details.slot !== 0) saveload.appendChild(saveButton);
+		if (details.slot > 0) saveload.appendChild(saveButton);
 		saveload.appendChild(loadButton);
 
 		// save name
@@ -812,8 +1535,32 @@ const idb = (() => {
 			else if (details.date > Date.now() - 1800000) date.classList.add("gold");
 			date.innerText = new Date(details.date).toLocaleString();
 		} else date.innerText = "\xa0";
+		// player's tags go after the date
+		if (details.tags) {
+			const tags = document.createElement("span");
+			tags.className = "saveTags";
+			tags.innerText = details.tags.map(tag => `#${tag}`).join(" ");
+			date.append(" ", tags);
+		}
 		saveDetails.appendChild(description);
 		saveDetails.appendChild(date);
+		// rich summary provided by onSave handlers, shown on hover
+		if (details.summary) {
+			const summary = document.createElement("div");
+			summary.className = "saveSummary";
+			summary.innerText = summaryText(details.summary);
+			saveDetails.appendChild(summary);
+		}
+
+		// save thumbnail provided by onSave handlers
+		const saveThumbnail = document.createElement("div");
+		saveThumbnail.className = "saveThumbnail";
+		if (isThumbnailUrl(details.thumbnail)) {
+			const image = document.createElement("img");
+			image.src = details.thumbnail;
+			image.alt = "";
+			saveThumbnail.appendChild(image);
+		}
 
 		// delete button
 		const deleteButton = document.createElement("button");
@@ -826,13 +1573,93 @@ const idb = (() => {
 			deleteButton.disabled = true;
 		}
 
-		group.append(saveId, saveload, saveName, saveDetails);
+		// tags button
+		const tagsButton = document.createElement("button");
+		tagsButton.className = "tagsButton";
+		tagsButton.innerText = "#";
+		tagsButton.title = L10n.get("savesLabelTags");
+		if (details.date) {
+			tagsButton.classList.add("saveMenuButton");
+			tagsButton.onclick = () => saveList("edit tags", details);
+		} else {
+			tagsButton.disabled = true;
+		}
+
+		group.append(saveId, saveload, saveName, saveThumbnail, saveDetails);
 		row.appendChild(group);
+		row.appendChild(tagsButton);
 		row.appendChild(deleteButton);
 
 		return row;
 	}
 
+	/**
+	 * @returns {HTMLUListElement} search field and sort controls
+	 */
+	function generateSearchBar() {
+		const container = document.createElement("ul");
+		container.className = "buttons";
+		let li;
+
+		// search field, applied on enter or when it loses focus
+		const search = document.createElement("input");
+		Object.assign(search, {
+			id: "saves-search",
+			type: "search",
+			value: listFilter,
+			placeholder: L10n.get("savesSearchPlaceholder"),
+			onchange: () => {
+				listFilter = search.value.trim();
+				listPage = 1;
+				saveList("show saves");
+			},
+		});
+		li = document.createElement("li");
+		li.appendChild(search);
+		container.appendChild(li);
+
+		// sort key, custom metadata fields are offered when any save has them
+		const keys = ["slot", "date", "title", "passage"];
+		_saveDetails.forEach(d => Object.keys(d.data.metadata || {}).forEach(name => {
+			if (!keys.includes(`metadata.${name}`)) keys.push(`metadata.${name}`);
+		}));
+		const sort = document.createElement("select");
+		sort.id = "saves-sort";
+		keys.forEach(key => {
+			const option = document.createElement("option");
+			option.value = key;
+			option.innerText = key.startsWith("metadata.") ? key.slice(9) : L10n.get(`savesSort${key.toUpperFirst()}`);
+			option.selected = key === listSort;
+			sort.appendChild(option);
+		});
+		sort.onchange = () => {
+			listSort = sort.value;
+			listSortReverse = false;
+			listPage = 1;
+			saveList("show saves");
+		};
+		li = document.createElement("li");
+		li.append(`${L10n.get("savesSortLabel")} `, sort);
+		container.appendChild(li);
+
+		// reverse order toggle
+		const reverseLabel = document.createElement("label");
+		const reverse = document.createElement("input");
+		reverse.type = "checkbox";
+		reverse.checked = listSortReverse;
+		reverse.onchange = () => {
+			listSortReverse = reverse.checked;
+			listPage = 1;
+			saveList("show saves");
+		};
+		reverseLabel.append(reverse, ` ${L10n.get("savesSortReverse")}`);
+		li = document.createElement("li");
+		li.appendChild(reverseLabel);
+		container.appendChild(li);
+
+		return container;
+	}
+
 	/**
 	 * @returns {HTMLUListElement}
 	 */
@@ -868,9 +1695,9 @@ const idb = (() => {
 			value: listPage,
 			style: "width: 3em",
 			min: 1,
-			max: listPageMax,
+			max: listPageCount,
 			onchange: () => {
-				listPage = Math.clamp(Math.round(pageNum.value), 1, listPageMax);
+				listPage = Math.clamp(Math.round(pageNum.value), 1, listPageCount);
 				saveList("show saves");
 			},
 		});
@@ -879,7 +1706,7 @@ const idb = (() => {
 		// next page button
 		const nextPage = document.createElement("button");
 		nextPage.append(">");
-		if (listPage < listPageMax) {
+		if (listPage < listPageCount) {
 			nextPage.classList.add("saveMenuButton");
 			nextPage.onclick = () => {
 				++listPage;
@@ -887,7 +1714,7 @@ const idb = (() => {
 			};
 		} else nextPage.disabled = true;
 		nextPage.onclick = () => {
-			if (listPage < listPageMax) listPage++;
+			if (listPage < listPageCount) listPage++;
 			saveList("show saves");
 		};
 		li = document.createElement("li");
@@ -921,6 +1748,10 @@ const idb = (() => {
 		jumpToLatest.className = "saveMenuButton";
 		jumpToLatest.innerText = L10n.get("savesPagerJump");
 		jumpToLatest.onclick = () => {
+			// the most recent save is found by slot, so go back to the plain list
+			listFilter = "";
+			listSort = "slot";
+			listSortReverse = false;
 			// potentially exploitable to allow saving to slots way above the limit, but the limit is arbitrary to begin with, and idb doesn't actually suffer one bit from going beyond that limit
 			listPage = Math.floor((latestSave.slot - 1) / listLength + 1);
 			saveList("show saves");
@@ -982,6 +1813,20 @@ const idb = (() => {
 
 			oldSaveDescription.append(oldSaveTitle, oldSaveData);
 
+			// the bigger picture, literally
+			if (isThumbnailUrl(details.thumbnail)) {
+				const oldSaveThumbnail = document.createElement("img");
+				oldSaveThumbnail.className = "saveThumbnail";
+				oldSaveThumbnail.src = details.thumbnail;
+				oldSaveThumbnail.alt = "";
+				oldSaveDescription.appendChild(oldSaveThumbnail);
+			}
+			if (details.summary) {
+				const oldSaveSummary = document.createElement("div");
+				oldSaveSummary.innerText = summaryText(details.summary);
+				oldSaveDescription.appendChild(oldSaveSummary);
+			}
+
 			return oldSaveDescription;
 		}
 
@@ -995,12 +1840,28 @@ const idb = (() => {
 					notAllowedWarning.innerText = V.replayScene ? L10n.get("savesDisallowedReplay") : L10n.get("savesDisallowed");
 					list.appendChild(notAllowedWarning);
 				}
+				if (Tabs.others) {
+					const otherTabWarning = document.createElement("h3");
+					otherTabWarning.className = "red";
+					otherTabWarning.innerText = L10n.get("tabsWarningOtherTab");
+					list.appendChild(otherTabWarning);
+				}
 
 				const exportReminder = document.createElement("p");
 				exportReminder.id = "saves-export-reminder";
 				exportReminder.innerText = L10n.get("savesExportReminder");
 				list.appendChild(exportReminder);
 
+				// storage usage, filled in when the browser gets around to estimating it
+				const usageInfo = document.createElement("p");
+				usageInfo.id = "saves-usage";
+				Save.usage.get(false).then(report => {
+					if (!report.used) return;
+					usageInfo.innerText = Save.usage.summary(report.used, report.quota);
+					if (report.quota && report.used / report.quota >= Config.saves.quotaWarning) usageInfo.className = "red";
+				});
+				list.appendChild(usageInfo);
+
 				// extra saves warning
 				if (extraSaveWarn) {
 					const lostSaves = document.createElement("p");
@@ -1014,6 +1875,9 @@ const idb = (() => {
 					list.appendChild(lostSaves);
 				}
 
+				// search and sort controls
+				list.appendChild(generateSearchBar());
+
 				// THE SAVES LIST
 				list.appendChild(generateSavesPage());
 
@@ -1145,7 +2009,7 @@ const idb = (() => {
 				confirmDeleteWarning.className = "saveBorder";
 				const confirmDeleteWarningTitle = document.createElement("h3");
 				confirmDeleteWarningTitle.className = "red";
-				confirmDeleteWarningTitle.innerText = `${L10n.get("savesWarningDeleteInSlot") + (details.slot === 0 ? "auto" : details.slot)}?`;
+				confirmDeleteWarningTitle.innerText = `${L10n.get("savesWarningDeleteInSlot") + slotLabel(details.slot, true)}?`;
 
 				const deleteButton = document.createElement("input");
 				Object.assign(deleteButton, {
@@ -1174,7 +2038,7 @@ const idb = (() => {
 				confirmLoad.className = "saveBorder";
 				const confirmLoadTitle = document.createElement("h3");
 				confirmLoadTitle.className = "red";
-				confirmLoadTitle.innerText = `${L10n.get("savesWarningLoad") + (details.slot === 0 ? "auto" : details.slot)}?`;
+				confirmLoadTitle.innerText = `${L10n.get("savesWarningLoad") + slotLabel(details.slot, true)}?`;
 
 				const loadButton = document.createElement("input");
 				Object.assign(loadButton, {
@@ -1222,11 +2086,176 @@ const idb = (() => {
 				}, Engine.minDomActionDelay);
 				break;
 			}
+			case "confirm import": {
+				// here, details is either the parsed backup or an { error } object
+				const confirmImport = document.createElement("div");
+				confirmImport.className = "saveBorder";
+				const confirmImportTitle = document.createElement("h3");
+				confirmImportTitle.innerText = L10n.get("savesBackupTitle");
+				confirmImport.appendChild(confirmImportTitle);
+
+				if (details.error) {
+					const importError = document.createElement("p");
+					importError.className = "red";
+					importError.innerText = details.error;
+					confirmImport.append(importError, cancelButton);
+				} else {
+					const summary = document.createElement("p");
+					summary.innerText = L10n.get("savesBackupSummary", { date: new Date(details.date).toLocaleString(), count: details.saves.length });
+
+					// per-slot conflict resolution, only relevant when merging
+					const conflicts = document.createElement("div");
+					const selects = [];
+
+					// merge vs replace switch
+					const modes = document.createElement("div");
+					["merge", "replace"].forEach(mode => {
+						const label = document.createElement("label");
+						const radio = document.createElement("input");
+						Object.assign(radio, { type: "radio", name: "saves-import-mode", value: mode, checked: mode === "merge" });
+						radio.onchange = () => conflicts.hidden = mode === "replace";
+						label.append(radio, L10n.get(mode === "merge" ? "savesBackupMerge" : "savesBackupReplace"));
+						if (mode === "replace") label.className = "red";
+						modes.appendChild(label);
+					});
+
+					const describe = d => d ? `${d.title} (${new Date(d.date).toLocaleString()})` : "\xa0";
+					details.saves.forEach(item => {
+						const current = _saveDetails.find(d => d.slot === item.slot);
+						if (!current) return;
+						if (!selects.length) {
+							const conflictsTitle = document.createElement("p");
+							conflictsTitle.innerText = L10n.get("savesBackupConflicts");
+							conflicts.appendChild(conflictsTitle);
+						}
+						const row = document.createElement("div");
+						row.className = "saveConflict";
+						const label = document.createElement("span");
+						label.innerText = `${slotLabel(item.slot)}: ${L10n.get("savesBackupCurrent")} ${describe(current.data)} / ${L10n.get("savesBackupImported")} ${describe(details.details.find(d => d.slot === item.slot)?.data)}`;
+						const select = document.createElement("select");
+						select.dataset.slot = item.slot;
+						[["free", "savesBackupFree"], ["keep", "savesBackupKeep"], ["overwrite", "savesBackupOverwrite"]].forEach(([value, text]) => {
+							const option = document.createElement("option");
+							option.value = value;
+							option.innerText = L10n.get(text);
+							select.appendChild(option);
+						});
+						selects.push(select);
+						row.append(label, select);
+						conflicts.appendChild(row);
+					});
+
+					const importButton = document.createElement("input");
+					Object.assign(importButton, {
+						type: "button",
+						className: "saveMenuButton saveMenuConfirm",
+						value: L10n.get("savesLabelImportAll"),
+						onclick: () => {
+							const mode = modes.querySelector("input:checked").value;
+							const resolutions = {};
+							selects.forEach(select => resolutions[select.dataset.slot] = select.value);
+							restoreBackup(details, mode, resolutions)
+								.then(() => saveList("show saves"))
+								.catch(ex => saveList("confirm import", { error: L10n.get("savesBackupFailed", { error: ex?.message || String(ex) }) }));
+						},
+					});
+					confirmImport.append(summary, modes, conflicts, importButton, cancelButton);
+				}
+
+				list.appendChild(confirmImport);
+				setTimeout(() => {
+					if (replaceChildren) savesDiv.replaceChildren(list);
+					else { // curse you, itch app!
+						savesDiv.innerHTML = "";
+						savesDiv.appendChild(list);
+					}
+					Dialog.resize();
+				}, Engine.minDomActionDelay);
+				break;
+			}
+			case "edit tags": {
+				const editTags = document.createElement("div");
+				editTags.className = "saveBorder";
+				const editTagsTitle = document.createElement("h3");
+				editTagsTitle.innerText = `${L10n.get("savesLabelTags")}: ${slotLabel(details.slot, true)}`;
+
+				const tagsField = document.createElement("input");
+				Object.assign(tagsField, {
+					id: "saves-tags",
+					type: "text",
+					value: (details.tags || []).join(", "),
+					placeholder: L10n.get("savesTagsPlaceholder"),
+				});
+
+				const saveTagsButton = document.createElement("input");
+				Object.assign(saveTagsButton, {
+					type: "button",
+					className: "saveMenuButton saveMenuConfirm",
+					value: L10n.get("ok"),
+					onclick: () => setTags(details.slot, tagsField.value.split(",")).then(() => saveList("show saves")),
+				});
+				editTags.append(editTagsTitle, generateOldSaveDescription(details), tagsField, saveTagsButton, cancelButton);
+
+				list.appendChild(editTags);
+				setTimeout(() => {
+					if (replaceChildren) savesDiv.replaceChildren(list);
+					else { // curse you, itch app!
+						savesDiv.innerHTML = "";
+						savesDiv.appendChild(list);
+					}
+					tagsField.focus();
+				}, Engine.minDomActionDelay);
+				break;
+			}
+			case "verify report": {
+				// here, details is the list of damaged saves returned by verifyAll
+				const verifyReport = document.createElement("div");
+				verifyReport.className = "saveBorder";
+				const verifyReportTitle = document.createElement("h3");
+				verifyReportTitle.innerText = L10n.get("savesVerifyTitle");
+				verifyReport.appendChild(verifyReportTitle);
+
+				if (!details.length) {
+					const allOk = document.createElement("p");
+					allOk.className = "green";
+					allOk.innerText = L10n.get("savesVerifyAllOk");
+					verifyReport.appendChild(allOk);
+				}
+				details.forEach(({ slot, report }) => {
+					const slotTitle = document.createElement("p");
+					slotTitle.className = report.fatal ? "red" : "gold";
+					slotTitle.innerText = `${slotLabel(slot, true)}: ${L10n.get(report.fatal ? "savesVerifyFailed" : "savesVerifyDamaged")}`;
+					const problems = document.createElement("ul");
+					report.problems.forEach(problem => {
+						const li = document.createElement("li");
+						li.innerText = problem.message;
+						problems.appendChild(li);
+					});
+					verifyReport.append(slotTitle, problems);
+				});
+
+				const okButton = document.createElement("button");
+				okButton.className = "saveMenuButton saveMenuConfirm";
+				okButton.innerText = L10n.get("ok");
+				okButton.onclick = () => saveList("show saves");
+				verifyReport.appendChild(okButton);
+
+				list.appendChild(verifyReport);
+				setTimeout(() => {
+					if (replaceChildren) savesDiv.replaceChildren(list);
+					else { // curse you, itch app!
+						savesDiv.innerHTML = "";
+						savesDiv.appendChild(list);
+					}
+					Dialog.resize();
+				}, Engine.minDomActionDelay);
+				break;
+			}
 		}
 	}
 
 	return Object.freeze(Object.defineProperties({}, {
-		/* eslint-disable brace-style */
+		/* eslint-disable brace-style, key-spacing */
 		dbName:         { get() { return _dbName;    }, set(val) { _dbName = val; } },
 		lock:           { get() { return _lock;      }, set(val) { _lock = Boolean(val); } },
 		active:         { get() { return _active;    }, set(val) { _active = Boolean(val); } },
@@ -1240,14 +2269,34 @@ const idb = (() => {
 		saveList:       { value: saveList },
 		saveState:      { value: saveState },
 		loadState:      { value: loadState },
+		autosave:       { value: autosave },
+		loadAutosave:   { value: loadAutosave },
+		autosaveSlots:  { get: autosaveSlots },
+		latestAutosave: { get: latestAutosaveSlot },
 		setItem:        { value: setItem },
 		getItem:        { value: getItem },
 		deleteItem:     { value: deleteItem },
 		clearAll:       { value: clearAll },
+		thumbnail:      { value: thumbnail },
+		usage:          { value: usage },
+		exportBackup:   { value: exportBackup },
+		parseBackup:    { value: parseBackup },
+		restoreBackup:  { value: restoreBackup },
 		updateSettings: { value: updateSettings },
 		funNuke:        { value: funNuke },
 		ekuNnuf:        { value: ekuNnuf },
 		importFromLocalStorage: { value: importFromLocalStorage },
+		migrations:     {
+			value: Object.freeze(Object.defineProperties({}, {
+				add:        { value: migrationAdd },
+				run:        { value: migrateState },
+				dryRun:     { value: migrationDryRun },
+				version:    { get: schemaVersion },
+				list:       { get() { return _migrations.map(m => ({ version: m.version, description: m.description })); } },
+				lastReport: { get() { return _lastMigrationReport; } },
+			})),
+		},
+		/* eslint-enable brace-style, key-spacing */
 	}));
 })();
 window.idb = idb;
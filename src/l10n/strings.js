@@ -56,10 +56,20 @@ var l10nStrings = { // eslint-disable-line no-unused-vars, no-var
 	debugBarLabelAdd    : 'Add',
 	debugBarLabelWatch  : 'Watch',
 	debugBarLabelTurn   : 'Turn', // (noun) chance to act (in a game), moment, period
+	debugBarLabelBranch : 'Branch {id}', // (noun) alternate timeline of the history
 	debugBarLabelViews  : 'Views',
 	debugBarViewsToggle : 'Toggle the debug views',
 	debugBarWatchToggle : 'Toggle the watch panel',
 
+	debugBarSchemaViolations : 'Story variables which do not match the schema',
+	debugBarNoProfile        : '\u2014 no passage profiled \u2014',
+	debugBarLabelProfile     : 'Profile',
+	debugBarProfileToggle    : 'Toggle the profile panel',
+	debugBarProfileExport    : 'Export the profile as JSON',
+	debugBarProfileTotals    : 'Slowest by own time',
+	debugBarProfileCalls     : 'Calls',
+	debugBarProfileSelf      : 'Own time',
+
 	/*
 		UI bar.
 	*/
@@ -92,6 +102,29 @@ var l10nStrings = { // eslint-disable-line no-unused-vars, no-var
 	savesUnavailable : 'No save slots found\u2026',
 	savesUnknownDate : 'unknown',
 
+	savesUsage         : 'Storage used: {used} of about {quota} ({percent}%).',
+	savesUsageNoQuota  : 'Storage used: {used}.',
+	savesQuotaWarning  : 'Storage space for saves is running low, consider deleting old saves or saving to disk.',
+	savesQuotaExceeded : 'There is not enough storage space left for this save. Delete some saves or save to disk, then try again.',
+
+	savesSortLabel   : 'Sort by',
+	savesSortSlot    : 'slot',
+	savesSortDate    : 'date',
+	savesSortTitle   : 'title',
+	savesSortPassage : 'passage',
+	savesSortReverse : 'Reverse order',
+
+	savesVerifyRepaired       : 'This save was damaged and has been repaired, some of its history may have been lost:',
+	savesVerifyFailed         : 'This save is damaged beyond repair:',
+	savesVerifyDeltaBroken    : 'history entry {moment} and those after it could not be decoded',
+	savesVerifyMomentInvalid  : 'history entry {moment} is malformed',
+	savesVerifyPassageMissing : 'history entry {moment} refers to the passage "{title}", which does not exist',
+	savesVerifyIndexInvalid   : 'the active history entry ({index}) is out of range',
+	savesVerifyExpiredInvalid : 'the list of expired passages is malformed',
+	savesVerifyNoHistory      : 'the save contains no usable history',
+	savesMigrationFailed      : 'This save could not be updated for the current version of the game:',
+	savesMigrationStep        : 'update {version} failed: {error}',
+
 	/*
 		idb related
 	*/
@@ -117,6 +150,33 @@ var l10nStrings = { // eslint-disable-line no-unused-vars, no-var
 	savesWarningLoad          : 'Load slot',
 	savesWarningDeleteAll     : 'WARNING - DO YOU REALLY WANT TO DELETE ALL SAVES?',
 	savesLabelToClipboard     : 'Save to Clipboard\u2026',
+	savesHeaderAutosaves      : 'Autosaves',
+	savesHeaderSlots          : 'Saves',
+	savesLabelExportAll       : 'Export All Saves\u2026',
+	savesLabelImportAll       : 'Import All Saves\u2026',
+	savesBackupTitle          : 'Import saves from backup',
+	savesBackupSummary        : 'Backup from {date} containing {count} saves.',
+	savesBackupMerge          : 'Merge with current saves',
+	savesBackupReplace        : 'Replace all current saves and settings',
+	savesBackupConflicts      : 'These slots are already in use:',
+	savesBackupCurrent        : 'current',
+	savesBackupImported       : 'imported',
+	savesBackupFree           : 'Import into a free slot',
+	savesBackupKeep           : 'Keep current save',
+	savesBackupOverwrite      : 'Overwrite with imported save',
+	savesBackupInvalid        : 'This file is not a saves backup, or it was made by a newer version of the game.',
+	savesBackupChecksum       : 'This backup is damaged: its checksum does not match its contents.',
+	savesBackupIdMismatch     : 'This backup belongs to a different story.',
+	savesBackupFailed         : 'The backup could not be imported: {error}',
+	savesLabelVerify          : 'Check Saves',
+	savesVerifyTitle          : 'Save check results',
+	savesVerifyAllOk          : 'No problems found.',
+	savesVerifyDamaged        : 'This save is damaged',
+	savesLabelTags            : 'Tags',
+	savesTagsPlaceholder      : 'comma separated, e.g. main, before_boss',
+	savesSearchPlaceholder    : 'Search saves, #tag for tags',
+	savesSearchEmpty          : 'No saves match the search.',
+	tabsWarningOtherTab       : 'This {identity} is also open in another tab. Saving from more than one tab can overwrite your saves.',
 
 	/*
 		Settings.
@@ -126,6 +186,14 @@ var l10nStrings = { // eslint-disable-line no-unused-vars, no-var
 	settingsOn    : 'On',
 	settingsReset : 'Reset to Defaults',
 
+	/*
+		Achievements.
+	*/
+	achievementsTitle    : 'Achievements',
+	achievementsEmpty    : 'There are no achievements.',
+	achievementsHidden   : 'Hidden until unlocked.',
+	achievementsProgress : '{unlocked} of {total} unlocked',
+
 	/*
 		Restart.
 	*/
@@ -0,0 +1,289 @@
+/***********************************************************************************************************************
+
+	lib/serial.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global Util */
+
+var Serial = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	// Marker used to wrap values of registered types, mirrors the `JSON` revive wrappers.
+	const _marker = '(revive:serial)';
+
+	// Placeholder for objects being encoded or decoded, used to detect cyclic references.
+	const _pending = Object.freeze({});
+
+	// Map of registered type names to their descriptors.
+	const _byName = new Map();
+
+	// Map of registered constructors to their descriptors.
+	const _byType = new Map();
+
+	// Set of unregistered constructor names which have already been warned about.
+	const _warned = new Set();
+
+
+	/*******************************************************************************
+		Registry Functions.
+	*******************************************************************************/
+
+	/*
+		Registers a revivable type under the given name.
+
+		By default, instances are serialized via their `toJSON()` method, if any, or
+		their own enumerable properties, and revived via the type's static `fromJSON()`
+		method, if any, or by assigning the data to a new object with the type's
+		prototype.  Either may be overridden via the `hooks` object.
+	*/
+	function serialAdd(name, type, hooks) {
+		if (typeof name !== 'string' || name === '') {
+			throw new TypeError(`Serial.add name parameter must be a non-empty string (received: ${Util.getType(name)})`);
+		}
+
+		if (typeof type !== 'function') {
+			throw new TypeError(`Serial.add type parameter must be a constructor (received: ${Util.getType(type)})`);
+		}
+
+		if (hooks != null && typeof hooks !== 'object') { // lazy equality for null
+			throw new TypeError(`Serial.add hooks parameter must be an object or null/undefined (received: ${Util.getType(hooks)})`);
+		}
+
+		if (_byName.has(name)) {
+			throw new Error(`Serial.add: a type named "${name}" is already registered`);
+		}
+
+		const descriptor = Object.freeze({
+			name,
+			type,
+			toJSON : hooks && typeof hooks.toJSON === 'function'
+				? hooks.toJSON
+				: value => typeof value.toJSON === 'function' ? value.toJSON() : Object.assign({}, value),
+			fromJSON : hooks && typeof hooks.fromJSON === 'function'
+				? hooks.fromJSON
+				: data => typeof type.fromJSON === 'function'
+					? type.fromJSON(data)
+					: Object.assign(Object.create(type.prototype), data)
+		});
+
+		_byName.set(name, descriptor);
+		_byType.set(type, descriptor);
+	}
+
+	/*
+		Unregisters the type with the given name.
+	*/
+	function serialDelete(name) {
+		const descriptor = _byName.get(name);
+
+		if (!descriptor) {
+			return false;
+		}
+
+		_byType.delete(descriptor.type);
+		return _byName.delete(name);
+	}
+
+	/*
+		Returns whether a type with the given name is registered.
+	*/
+	function serialHas(name) {
+		return _byName.has(name);
+	}
+
+	/*
+		Returns the names of all registered types.
+	*/
+	function serialNames() {
+		return [..._byName.keys()];
+	}
+
+
+	/*******************************************************************************
+		Encoding Functions.
+	*******************************************************************************/
+
+	/*
+		Returns the given value with every registered type instance replaced by a plain
+		revive wrapper, and every function or other `toJSON()` bearing object replaced
+		by its JSON form, so that it survives both `JSON.stringify()` and the structured
+		clone algorithm.  Objects referenced more than once are encoded once and the
+		result is shared.  Cyclic references through plain objects and arrays are kept
+		as-is, since those are encoded in place, while cycles through registered types
+		or `toJSON()` results throw.
+
+		NOTE: Plain objects and arrays are updated in place, so pass a copy if the
+		original must be left intact.
+	*/
+	function encode(value) {
+		return encodeValue(value, new Map(), []);
+	}
+
+	function encodeValue(value, encoded, path) {
+		if (typeof value === 'function') {
+			return value.toJSON();
+		}
+
+		if (typeof value !== 'object' || value === null) {
+			return value;
+		}
+
+		if (encoded.has(value)) {
+			if (encoded.get(value) === _pending) {
+				throw new TypeError(`Serial.encode: cannot encode a cyclic reference (at: ${pathToString(path)})`);
+			}
+
+			return encoded.get(value);
+		}
+
+		encoded.set(value, _pending);
+
+		const result = encodeObject(value, encoded, path);
+		encoded.set(value, result);
+		return result;
+	}
+
+	function encodeObject(value, encoded, path) {
+		const descriptor = _byType.get(value.constructor);
+
+		if (descriptor) {
+			return [_marker, [descriptor.name, encodeValue(descriptor.toJSON(value), encoded, path)]];
+		}
+
+		if (typeof value.toJSON === 'function') {
+			return encodeValue(value.toJSON(), encoded, path);
+		}
+
+		const proto = Object.getPrototypeOf(value);
+
+		if (!Array.isArray(value) && proto !== Object.prototype && proto !== null) {
+			const typeName = value.constructor ? value.constructor.name : 'anonymous';
+
+			if (!_warned.has(typeName)) {
+				_warned.add(typeName);
+				console.warn(`Serial: instances of unregistered type "${typeName}" will be revived as plain objects; see Serial.add()`);
+			}
+		}
+
+		// Encoded in place, so any reference back to it from within is already final.
+		encoded.set(value, value);
+
+		Object.keys(value).forEach(key => {
+			value[key] = encodeValue(value[key], encoded, [...path, key]); // eslint-disable-line no-param-reassign
+		});
+
+		return value;
+	}
+
+	/*
+		Returns the given value with every revive wrapper replaced by the value it
+		wraps—i.e., the reverse of `encode()`.  Wrappers referenced more than once are
+		revived once and the result is shared.  As with `encode()`, cyclic references
+		through plain objects and arrays are kept as-is, while cycles through revive
+		wrappers throw.
+
+		NOTE: Plain objects and arrays are updated in place.
+	*/
+	function decode(value) {
+		return decodeValue(value, new Map(), []);
+	}
+
+	function decodeValue(value, decoded, path) {
+		if (typeof value !== 'object' || value === null) {
+			return value;
+		}
+
+		if (decoded.has(value)) {
+			if (decoded.get(value) === _pending) {
+				throw new TypeError(`Serial.decode: cannot decode a cyclic reference (at: ${pathToString(path)})`);
+			}
+
+			return decoded.get(value);
+		}
+
+		decoded.set(value, _pending);
+
+		const result = decodeObject(value, decoded, path);
+		decoded.set(value, result);
+		return result;
+	}
+
+	function decodeObject(value, decoded, path) {
+		if (Array.isArray(value)) {
+			if (value.length === 2 && typeof value[0] === 'string' && value[0].startsWith('(revive:')) {
+				if (value[0] === _marker) {
+					const [name, data] = value[1];
+					const descriptor = _byName.get(name);
+
+					if (!descriptor) {
+						console.warn(`Serial: cannot revive unregistered type "${name}"`);
+						return decodeValue(data, decoded, path);
+					}
+
+					return descriptor.fromJSON(decodeValue(data, decoded, path));
+				}
+
+				// Leave the other revive wrappers to `JSON.parse()`.
+				return JSON.parse(JSON._real_stringify(value));
+			}
+		}
+		else {
+			const proto = Object.getPrototypeOf(value);
+
+			if (proto !== Object.prototype && proto !== null) {
+				return value;
+			}
+		}
+
+		// Decoded in place, so any reference back to it from within is already final.
+		decoded.set(value, value);
+
+		Object.keys(value).forEach(key => {
+			value[key] = decodeValue(value[key], decoded, [...path, key]); // eslint-disable-line no-param-reassign
+		});
+
+		return value;
+	}
+
+	/*
+		Returns the given path of property keys in a readable form—e.g., `value.items[2].name`.
+	*/
+	function pathToString(path) {
+		return path.reduce((str, key) => /^\d+$/.test(key) ? `${str}[${key}]` : `${str}.${key}`, 'value');
+	}
+
+
+	/*******************************************************************************
+		Built-in Types.
+	*******************************************************************************/
+
+	serialAdd('Date', Date, {
+		toJSON   : value => value.getTime(),
+		fromJSON : data => new Date(data)
+	});
+	serialAdd('Map', Map, {
+		toJSON   : value => [...value],
+		fromJSON : data => new Map(data)
+	});
+	serialAdd('Set', Set, {
+		toJSON   : value => [...value],
+		fromJSON : data => new Set(data)
+	});
+
+
+	/*******************************************************************************
+		Object Exports.
+	*******************************************************************************/
+
+	return Object.freeze(Object.defineProperties({}, {
+		add    : { value : serialAdd },
+		delete : { value : serialDelete },
+		has    : { value : serialHas },
+		names  : { get : serialNames },
+		encode : { value : encode },
+		decode : { value : decode }
+	}));
+})();
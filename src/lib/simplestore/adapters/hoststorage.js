@@ -0,0 +1,191 @@
+/***********************************************************************************************************************
+
+	lib/simplestore/adapters/hoststorage.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global SimpleStore */
+
+/*
+	Generic adapter for hosts which expose a key/value bridge, so that the settings and saves
+	stores can live outside of the browser profile—e.g., in files written via NW.js or an
+	Electron preload script, or on a local HTTP server.
+
+	The host must define `window.SugarCubeHostStorage` before the story starts, as an object
+	with the following synchronous methods.  Namespaces and keys are non-empty strings and
+	values are strings—serialization is handled by the adapter.
+
+		keys(namespace)              → Array of all keys within the namespace.
+		get(namespace, key)          → The value of the key, or `null` if it does not exist.
+		set(namespace, key, value)   → Stores the value, throwing if it cannot.
+		remove(namespace, key)       → Removes the key, if it exists.
+		clear(namespace)             → (optional) Removes every key within the namespace.
+
+	Each story gets two namespaces: its story ID for persistent data and its story ID suffixed
+	with `:session` for session data, which the host may discard between runs.
+*/
+SimpleStore.adapters.push((() => {
+	'use strict';
+
+	// Adapter readiness state.
+	let _ok = false;
+
+
+	/*******************************************************************************************************************
+		_HostStorageAdapter Class.
+	*******************************************************************************************************************/
+	class _HostStorageAdapter {
+		constructor(storageId, persistent) {
+			Object.defineProperties(this, {
+				_engine : {
+					value : window.SugarCubeHostStorage
+				},
+
+				_namespace : {
+					value : persistent ? storageId : `${storageId}:session`
+				},
+
+				name : {
+					value : 'hostStorage'
+				},
+
+				id : {
+					value : storageId
+				},
+
+				persistent : {
+					value : !!persistent
+				}
+			});
+		}
+
+		/* legacy */
+		get length() {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.length : Number]`); }
+
+			return this.keys().length;
+		}
+		/* /legacy */
+
+		size() {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.size() : Number]`); }
+
+			return this.keys().length;
+		}
+
+		keys() {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.keys() : String Array]`); }
+
+			return [...this._engine.keys(this._namespace)];
+		}
+
+		has(key) {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.has(key: "${key}") : Boolean]`); }
+
+			if (typeof key !== 'string' || !key) {
+				return false;
+			}
+
+			return this._engine.get(this._namespace, key) != null; // lazy equality for null
+		}
+
+		get(key) {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.get(key: "${key}") : Any]`); }
+
+			if (typeof key !== 'string' || !key) {
+				return null;
+			}
+
+			const value = this._engine.get(this._namespace, key);
+
+			return value == null ? null : _HostStorageAdapter._deserialize(value); // lazy equality for null
+		}
+
+		set(key, value) {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.set(key: "${key}", value: \u2026) : Boolean]`); }
+
+			if (typeof key !== 'string' || !key) {
+				return false;
+			}
+
+			this._engine.set(this._namespace, key, _HostStorageAdapter._serialize(value));
+
+			return true;
+		}
+
+		delete(key) {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.delete(key: "${key}") : Boolean]`); }
+
+			if (typeof key !== 'string' || !key) {
+				return false;
+			}
+
+			this._engine.remove(this._namespace, key);
+
+			return true;
+		}
+
+		clear() {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.clear() : Boolean]`); }
+
+			if (typeof this._engine.clear === 'function') {
+				this._engine.clear(this._namespace);
+			}
+			else {
+				this.keys().forEach(key => this._engine.remove(this._namespace, key));
+			}
+
+			return true;
+		}
+
+		static _serialize(obj) {
+			return JSON.stringify(obj);
+		}
+
+		static _deserialize(str) {
+			return JSON.parse(str);
+		}
+	}
+
+
+	/*******************************************************************************************************************
+		Adapter Utility Functions.
+	*******************************************************************************************************************/
+	function adapterInit() {
+		// Host bridge feature test.
+		function hasHostStorage() {
+			try {
+				const host = window.SugarCubeHostStorage;
+
+				return host != null // lazy equality for null
+					&& ['keys', 'get', 'set', 'remove'].every(method => typeof host[method] === 'function');
+			}
+			catch (ex) { /* no-op */ }
+
+			return false;
+		}
+
+		_ok = hasHostStorage();
+
+		return _ok;
+	}
+
+	function adapterCreate(storageId, persistent) {
+		if (!_ok) {
+			throw new Error('adapter not initialized');
+		}
+
+		return new _HostStorageAdapter(storageId, persistent);
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		init   : { value : adapterInit },
+		create : { value : adapterCreate }
+	}));
+})());
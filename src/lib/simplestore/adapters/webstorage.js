@@ -84,6 +84,29 @@ SimpleStore.adapters.push((() => {
 			return this.keys().length;
 		}
 
+		usage(key) {
+			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.usage(key: "${key}") : Number]`); }
+
+			/*
+				NOTE: Sizes are in characters, as that is what browsers count against
+				the quota.  Without a key, the whole store is measured, since stories
+				sharing it also share its quota.
+			*/
+			if (key != null) { // lazy equality for null
+				const value = this._engine.getItem(this._prefix + key);
+				return value == null ? 0 : this._prefix.length + key.length + value.length; // lazy equality for null
+			}
+
+			let total = 0;
+
+			for (let i = 0; i < this._engine.length; ++i) {
+				const engineKey = this._engine.key(i);
+				total += engineKey.length + this._engine.getItem(engineKey).length;
+			}
+
+			return total;
+		}
+
 		keys() {
 			if (DEBUG) { console.log(`[<SimpleStore:${this.name}>.keys() : String Array]`); }
 
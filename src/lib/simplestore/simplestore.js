@@ -7,6 +7,30 @@
 
 ***********************************************************************************************************************/
 
+/*
+	Adapters are objects, pushed onto `SimpleStore.adapters` in order of preference, with the
+	following methods:
+
+		init(storageId, persistent)    → Returns whether the adapter is usable in this environment.
+		create(storageId, persistent)  → Returns a new store instance.
+
+	Store instances must have the following members:
+
+		name        → Name of the storage engine.
+		id          → The `storageId` the store was created with.
+		persistent  → Whether the store persists across sessions.
+		size()      → Returns the number of keys within the store.
+		keys()      → Returns an array of the keys within the store.
+		has(key)    → Returns whether the key exists.
+		get(key)    → Returns the deserialized value of the key, or `null` if it does not exist.
+		set(key, value)  → Serializes and stores the value, returning `true`.  Throws on failure.
+		delete(key) → Removes the key, returning `true`.
+		clear()     → Removes every key within the store, returning `true`.
+
+	Stores with different IDs or persistence must not see each other's keys.  Methods given
+	an invalid key—i.e., a non-string or the empty string—must return `false` or `null`.
+	`SimpleStore.conformance()` checks adapters against all of the above.
+*/
 var SimpleStore = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
 
@@ -37,6 +61,135 @@ var SimpleStore = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 
+	/*******************************************************************************************************************
+		Conformance Functions.
+	*******************************************************************************************************************/
+	/*
+		Runs the checks every adapter must pass against the given adapter, or against every
+		adapter usable in the current environment if none is given.  Returns an array of
+		`{ adapter, persistent, name, ok, error }` results, one per check.
+
+		NOTE: The checks use throwaway stores, whose IDs are based on `storageId`, and refuse
+		to run against stores which are not empty, lest they clear real data.
+	*/
+	function storeConformance(adapter, storageId = '_sc_conformance') {
+		const results  = [];
+		const adapters = adapter ? [adapter] : _adapters.filter(candidate => candidate.init(storageId, true));
+
+		function assert(condition, message) {
+			if (!condition) {
+				throw new Error(message);
+			}
+		}
+
+		function same(a, b) {
+			return JSON.stringify(a) === JSON.stringify(b);
+		}
+
+		adapters.forEach(candidate => {
+			if (!candidate.init(storageId, true)) {
+				results.push({ adapter : null, persistent : null, name : 'init', ok : false, error : 'adapter is not usable here' });
+				return;
+			}
+
+			[true, false].forEach(persistent => {
+				const store = candidate.create(storageId, persistent);
+				const other = candidate.create(`${storageId}-other`, persistent);
+				const twin  = candidate.create(storageId, !persistent);
+
+				function check(name, fn) {
+					const result = { adapter : store.name, persistent, name, ok : true };
+
+					try {
+						fn();
+					}
+					catch (ex) {
+						result.ok    = false;
+						result.error = ex.message;
+					}
+
+					results.push(result);
+				}
+
+				if (store.size() !== 0 || other.size() !== 0 || twin.size() !== 0) {
+					check('empty', () => assert(false, 'conformance stores are not empty, skipping checks which would clear them'));
+					return;
+				}
+
+				check('properties', () => {
+					assert(typeof store.name === 'string' && store.name !== '', 'name must be a non-empty string');
+					assert(store.id === storageId, 'id must be the storage ID');
+					assert(store.persistent === persistent, 'persistent must reflect the persistence');
+				});
+
+				check('missing keys', () => {
+					assert(store.get('missing') === null, 'get() of a missing key must return null');
+					assert(store.has('missing') === false, 'has() of a missing key must return false');
+				});
+
+				check('invalid keys', () => {
+					[undefined, null, 42, ''].forEach(key => {
+						assert(store.set(key, 1) === false, `set() of ${JSON.stringify(key)} must return false`);
+						assert(store.get(key) === null, `get() of ${JSON.stringify(key)} must return null`);
+						assert(store.has(key) === false, `has() of ${JSON.stringify(key)} must return false`);
+						assert(store.delete(key) === false, `delete() of ${JSON.stringify(key)} must return false`);
+					});
+				});
+
+				check('round trip', () => {
+					[
+						'text',
+						42,
+						0,
+						false,
+						[1, 'two', { three : 3 }],
+						{ nested : { array : [true, null], text : 'a "quoted" string' } },
+						new Date(0),
+						new Map([['key', 'value']])
+					].forEach(value => {
+						assert(store.set('value', value) === true, 'set() must return true');
+						assert(same(store.get('value'), value), `get() must return what was set (${JSON.stringify(value)})`);
+					});
+				});
+
+				check('keys and size', () => {
+					store.clear();
+					store.set('a', 1);
+					store.set('b', 2);
+					store.set('b', 3);
+					const keys = store.keys();
+					assert(keys.length === 2 && keys.includes('a') && keys.includes('b'), 'keys() must list every key once');
+					assert(store.size() === 2, 'size() must count the keys');
+					assert(store.has('a') && store.get('b') === 3, 'set() must overwrite existing keys');
+				});
+
+				check('delete', () => {
+					assert(store.delete('a') === true, 'delete() must return true');
+					assert(!store.has('a') && store.get('a') === null, 'delete() must remove the key');
+					assert(store.has('b'), 'delete() must leave other keys alone');
+				});
+
+				check('isolation', () => {
+					other.set('b', 'other');
+					assert(store.get('b') === 3, 'stores with different IDs must not share keys');
+					assert(!twin.has('b'), 'persistent and session stores must not share keys');
+				});
+
+				check('clear', () => {
+					assert(store.clear() === true, 'clear() must return true');
+					assert(store.size() === 0, 'clear() must remove every key');
+					assert(other.get('b') === 'other', 'clear() must not touch other stores');
+				});
+
+				store.clear();
+				other.clear();
+			});
+		});
+
+		return results;
+	}
+
+
 	/*******************************************************************************************************************
 		Module Exports.
 	*******************************************************************************************************************/
@@ -51,6 +204,11 @@ var SimpleStore = (() => { // eslint-disable-line no-unused-vars, no-var
 		/*
 			Core Functions.
 		*/
-		create : { value : storeCreate }
+		create : { value : storeCreate },
+
+		/*
+			Conformance Functions.
+		*/
+		conformance : { value : storeConformance }
 	}));
 })();
@@ -72,6 +72,11 @@ var MacroContext = (() => { // eslint-disable-line no-unused-vars, no-var
 					value : context.parser
 				},
 
+				// Cancellation scope of the render which invoked the macro.
+				scope : {
+					value : context.parser.scope
+				},
+
 				_output : {
 					value : context.parser.output
 				},
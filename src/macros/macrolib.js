@@ -7,8 +7,8 @@
 
 ***********************************************************************************************************************/
 /*
-	global Config, DebugView, Engine, Has, L10n, Macro, NodeTyper, Patterns, Scripting, SimpleAudio, State,
-	       Story, TempState, Util, Wikifier, postdisplay, prehistory, storage, stringFrom
+	global Config, DebugView, Engine, Has, L10n, Macro, NodeTyper, Patterns, Profiler, Scripting, SimpleAudio, State,
+	       Story, TempState, Transition, Util, Wikifier, postdisplay, prehistory, storage, stringFrom
 */
 
 (() => {
@@ -309,7 +309,7 @@
 				$el = jQuery(this.output);
 			}
 
-			$el.wiki(passage.processText());
+			Profiler.measure('include', passage.title, () => $el.wiki(passage.processText()));
 		}
 	});
 
@@ -363,6 +363,52 @@
 		}
 	});
 
+	/*
+		<<randomdice>>
+	*/
+	Macro.add('randomdice', {
+		handler() {
+			if (this.args.length === 0) {
+				return this.error('no dice expression specified');
+			}
+
+			if (typeof this.args[0] !== 'string') {
+				return this.error('dice expression argument is not a string');
+			}
+
+			let result;
+
+			try {
+				result = State.prng.dice(this.args[0]);
+			}
+			catch (ex) {
+				return this.error(ex.message);
+			}
+
+			if (this.args.length > 1) {
+				const varName = String(this.args[1]).trim();
+
+				// Try to ensure that we receive the variable's name (incl. sigil), not its value.
+				if (varName[0] !== '$' && varName[0] !== '_') {
+					return this.error(`variable name "${this.args[1]}" is missing its sigil ($ or _)`);
+				}
+
+				if (!State.setVar(varName, result)) {
+					return this.error(`unable to set variable "${varName}"`);
+				}
+
+				// Custom debug view setup.
+				if (Config.debug) {
+					this.debugView.modes({ hidden : true });
+				}
+
+				return;
+			}
+
+			this.output.appendChild(document.createTextNode(String(result)));
+		}
+	});
+
 	/*
 		<<silently>>
 	*/
@@ -1052,7 +1098,7 @@
 				}
 
 				while (evalJavaScript(condition)) {
-					if (Wikifier.stopWikify) return;
+					if (this.scope.cancelled) return;
 
 					if (--safety < 0) {
 						return this.error(`exceeded configured maximum loop iterations (${Config.macros.maxLoopIterations})`);
@@ -1240,12 +1286,31 @@
 	Macro.add(['button', 'link'], {
 		isAsync : true,
 		tags    : null,
+		t8nRe   : /^(?:transition|t8n)$/,
 
 		handler() {
 			if (this.args.length === 0) {
 				return this.error(`no ${this.name === 'button' ? 'button' : 'link'} text specified`);
 			}
 
+			// Transition override, given as the `transition` keyword followed by a transition name or
+			// definition after the passage, if any.  The keyword is checked for first, so that it's not
+			// mistaken for the passage.
+			const t8nIndex = typeof this.args[0] === 'object' || this.self.t8nRe.test(this.args[1]) ? 1 : 2;
+			let transition = null;
+
+			if (this.args.length > t8nIndex && this.self.t8nRe.test(this.args[t8nIndex])) {
+				if (this.args.length === t8nIndex + 1) {
+					return this.error('no transition specified');
+				}
+
+				transition = this.args[t8nIndex + 1];
+
+				if (typeof transition === 'string' && !Transition.has(transition)) {
+					return this.error(`transition "${transition}" does not exist`);
+				}
+			}
+
 			const $link = jQuery(document.createElement(this.name === 'button' ? 'button' : 'a'));
 			let passage;
 
@@ -1281,7 +1346,7 @@
 			else {
 				// Argument was simply the link text.
 				$link.wikiWithOptions({ profile : 'core' }, this.args[0]);
-				passage = this.args.length > 1 ? this.args[1] : undefined;
+				passage = this.args.length > 1 && t8nIndex === 2 ? this.args[1] : undefined;
 			}
 
 			if (passage != null) { // lazy equality for null
@@ -1314,7 +1379,13 @@
 						? () => Wikifier.wikifyEval(this.payload[0].contents.trim(), macroThis.passageObj)
 						: null,
 					passage != null // lazy equality for null
-						? () => Engine.play(passage)
+						? () => {
+							if (transition !== null) {
+								Transition.next(transition);
+							}
+
+							Engine.play(passage);
+						}
 						: null
 				))
 				.appendTo(this.output);
@@ -3434,11 +3505,29 @@
 		<<goto>>
 	*/
 	Macro.add('goto', {
+		t8nRe : /^(?:transition|t8n)$/,
+
 		handler() {
 			if (this.args.length === 0) {
 				return this.error('no passage specified');
 			}
 
+			// Transition override, given as the `transition` keyword followed by a transition name or
+			// definition after the passage.
+			let transition = null;
+
+			if (this.args.length > 1 && this.self.t8nRe.test(this.args[1])) {
+				if (this.args.length === 2) {
+					return this.error('no transition specified');
+				}
+
+				transition = this.args[2];
+
+				if (typeof transition === 'string' && !Transition.has(transition)) {
+					return this.error(`transition "${transition}" does not exist`);
+				}
+			}
+
 			// majou here. fuck goto, fuck it's async bullshit, and fuck everyone who uses it. may the truck-kun evacuate you from this plane of existence into a worse one. goto will be a button now.
 			const $link = jQuery(document.createElement('button'));
 			let passage;
@@ -3475,12 +3564,20 @@
 				$link.addClass('link-internal');
 			}
 
+			const play = () => {
+				if (transition !== null) {
+					Transition.next(transition);
+				}
+
+				Engine.play(passage);
+			};
+
 			$link.addClass('macro-button')
 				 .ariaClick({
 					namespace: '.macros',
 					role     : 'button',
 					one      : true,
-				 }, this.createShadowWrapper(()=>Engine.play(passage)))
+				 }, this.createShadowWrapper(play))
 				 .appendTo(this.output);
 			/*
 				Call `Engine.play()` asynchronously.
@@ -3491,8 +3588,8 @@
 				unwanted by users, who are used to the current behavior from
 				similar macros and constructs.
 			*/
-			if (!Config.navigation.gotohell) Wikifier.stopWikify = 2; // actually, let's make it.
-			setTimeout(() => Engine.play(passage), Engine.minDomActionDelay);
+			if (!Config.navigation.gotohell) this.scope.root.cancel(); // actually, let's make it.
+			setTimeout(play, Engine.minDomActionDelay);
 		}
 	});
 
@@ -3952,7 +4049,8 @@
 	*/
 	Macro.add(['exit', 'exitAll'], {
 		handler() {
-			Wikifier.stopWikify = this.name === 'exit' ? 1 : 2;
+			// `<<exit>>` ends the innermost scope—i.e., the widget, if any—`<<exitAll>>` the whole render.
+			(this.name === 'exit' ? this.scope : this.scope.root).cancel();
 		}
 	});
 })();
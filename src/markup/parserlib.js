@@ -7,8 +7,8 @@
 
 ***********************************************************************************************************************/
 /*
-	global Config, DebugView, EOF, Engine, Lexer, Macro, MacroContext, Patterns, Scripting, State, Story, Template,
-	       Wikifier, stringFrom, throwError
+	global Config, DebugView, EOF, Engine, Lexer, Macro, MacroContext, Patterns, Profiler, Scripting, State, Story,
+	       Template, Wikifier, stringFrom, throwError
 */
 /* eslint "no-param-reassign": [ 2, { "props" : false } ] */
 
@@ -213,7 +213,24 @@
 							*/
 								try {
 									// console.log('macro.handler.call', macro, this.context);
-									macro.handler.call(this.context);
+									// Handlers are only wrapped for measuring while profiling—this is a hot path.
+									// eslint-disable-next-line max-depth
+									if (macro.isWidget) {
+										// Widgets run within a child scope, so that `<<exit>>` only ends the widget.
+										w.scope.child().run(Profiler.isEnabled()
+											? () => Profiler.measure('widget', name, () => macro.handler.call(this.context))
+											: () => macro.handler.call(this.context)
+										);
+									}
+									else if (Profiler.isEnabled()) {
+										Profiler.measure('macro', name, () => macro.handler.call(this.context));
+									}
+									else {
+										macro.handler.call(this.context);
+									}
+
+									// Attribute any changes to watched variables to this macro.
+									State.checkWatches({ passage : w.passageObj && w.passageObj.title, macro : name });
 								/*
 									QUESTION: Swap to the following, which passes macro arguments in
 									as parameters to the handler function, in addition to them being
@@ -224,10 +241,6 @@
 								*/
 								}
 								finally {
-									// eslint-disable-next-line max-depth
-									if (macro.isWidget && Wikifier.stopWikify === 1) {
-										Wikifier.stopWikify = 0;
-									}
 									this.context = this.context.parent;
 								}
 							}
@@ -249,7 +262,15 @@
 								the event that an uncaught exception is thrown during the handler call.
 							*/
 								try {
-									macro.handler(w.output, name, args, w, payload);
+									// eslint-disable-next-line max-depth
+									if (Profiler.isEnabled()) {
+										Profiler.measure('macro', name, () => macro.handler(w.output, name, args, w, payload));
+									}
+									else {
+										macro.handler(w.output, name, args, w, payload);
+									}
+
+									State.checkWatches({ passage : w.passageObj && w.passageObj.title, macro : name });
 								}
 								finally {
 									w._rawArgs = prevRawArgs;
@@ -617,14 +638,26 @@
 				return offset === EOF ? null : lexSpace;
 			}
 
+			/*
+				Argument strings lexed ahead of time, raw arguments → lexed items.  Filled only by
+				passage prefetching and bounded, with the oldest entries evicted first.
+			*/
+			const lexCache = new Map();
+			const lexCacheMax = 5000;
+
+			// Lex function.
+			function lexMacroArgs(rawArgsString) {
+				return lexCache.has(rawArgsString)
+					? lexCache.get(rawArgsString)
+					: new Lexer(rawArgsString, lexSpace).run();
+			}
+
 			// Parse function.
 			function parseMacroArgs(rawArgsString) {
-			// Initialize the lexer.
-				const lexer = new Lexer(rawArgsString, lexSpace);
 				const args = [];
 
 				// Lex the raw argument string.
-				lexer.run().forEach(item => {
+				lexMacroArgs(rawArgsString).forEach(item => {
 					let arg = item.text;
 
 					switch (item.type) {
@@ -808,7 +841,25 @@
 				return args;
 			}
 
-			return parseMacroArgs;
+			// Lex cache functions.
+			function lexCacheAdd(rawArgsString) {
+				if (!lexCache.has(rawArgsString)) {
+					if (lexCache.size >= lexCacheMax) {
+						lexCache.delete(lexCache.keys().next().value);
+					}
+
+					lexCache.set(rawArgsString, Object.freeze(new Lexer(rawArgsString, lexSpace).run()));
+				}
+			}
+
+			return Object.defineProperty(parseMacroArgs, 'cache', {
+				value : Object.freeze(Object.defineProperties({}, {
+					add    : { value : lexCacheAdd },
+					clear  : { value : () => lexCache.clear() },
+					delete : { value : rawArgsString => lexCache.delete(rawArgsString) },
+					size   : { get : () => lexCache.size }
+				}))
+			});
 		})()
 	});
 
@@ -11,6 +11,15 @@
 var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
 
+	/*
+		Code strings parsed ahead of time, raw code → parsed code.  Filled only by passage prefetching
+		and bounded, with the oldest entries evicted first.
+	*/
+	const _parseCache = new Map();
+
+	// Maximum number of entries within the parse cache.
+	const _PARSE_CACHE_MAX = 5000;
+
 	/* eslint-disable no-unused-vars */
 
 	/*******************************************************************************************************************
@@ -315,14 +324,15 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	/*
-		Sets the given key/value pair within the story metadata store.
+		Sets the given key/value pair within the story metadata store, optionally with an expiry—see
+		`State.metadata.set()`.
 	*/
-	function memorize(key, value) {
+	function memorize(key, value, options) {
 		if (typeof key !== 'string') {
 			throw new TypeError(`memorize key parameter must be a string (received: ${Util.getType(key)})`);
 		}
 
-		State.metadata.set(key, value);
+		State.metadata.set(key, value, options);
 	}
 
 	/*
@@ -402,6 +412,17 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 		return Math.floor((useMath ? Math.random() : State.random()) * (max - min + 1)) + min;
 	}
 
+	/*
+		Returns the total of the given dice expression—e.g., `"3d6+2"` or `"d20"`.
+	*/
+	function randomDice(expression) {
+		if (typeof expression !== 'string') {
+			throw new TypeError(`randomDice expression parameter must be a string (received: ${Util.getType(expression)})`);
+		}
+
+		return State.prng.dice(expression);
+	}
+
 	/*
 		Returns a pseudo-random real number (floating-point) within the range of the given bounds.
 
@@ -448,6 +469,51 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 		return (useMath ? Math.random() : State.random()) * (max - min) + min;
 	}
 
+	/*
+		Returns a pseudo-random real number (floating-point) from the normal distribution with the
+		given mean and standard deviation, which default to `0` and `1`.
+	*/
+	function randomNormal(mean, deviation) {
+		return State.prng.normal(mean, deviation);
+	}
+
+	/*
+		Returns an array of the given number of distinct pseudo-randomly picked members of the given
+		array, which is not modified.
+	*/
+	function randomSample(array, count) {
+		if (!Array.isArray(array)) {
+			throw new TypeError(`randomSample array parameter must be an array (received: ${Util.getType(array)})`);
+		}
+
+		return State.prng.sample(array, count);
+	}
+
+	/*
+		Returns a pseudo-random real number (floating-point) from the triangular distribution within
+		the range of the given bounds, which is the most likely to be near the given mode.
+	*/
+	function randomTriangular(min, max, mode) {
+		if (arguments.length < 2) {
+			throw new Error('randomTriangular called with insufficient parameters');
+		}
+
+		return State.prng.triangular(Number(min), Number(max), mode === undefined ? undefined : Number(mode));
+	}
+
+	/*
+		Returns a pseudo-randomly picked value from the given table of weights—either a generic object
+		of value/weight pairs or an array of `[value, weight]` pairs—with each value being picked in
+		proportion to its weight.
+	*/
+	function randomWeighted(table) {
+		if (table == null || typeof table !== 'object') { // lazy equality for null
+			throw new TypeError(`randomWeighted table parameter must be an object or array (received: ${Util.getType(table)})`);
+		}
+
+		return State.prng.weighted(table);
+	}
+
 	/*
 		Returns the value of the given key from the story metadata store
 		or the given default value if the key does not exist.
@@ -903,6 +969,46 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 		return parse;
 	})();
 
+	/*
+		Returns the given string as by `parse()`, using the parse cache, if possible.
+	*/
+	function parseCached(rawCodeString) {
+		return _parseCache.has(rawCodeString) ? _parseCache.get(rawCodeString) : parse(rawCodeString);
+	}
+
+
+	/*******************************************************************************************************************
+		Parse Cache Functions.
+	*******************************************************************************************************************/
+	/*
+		Parses the given code string into the parse cache, returning the parsed code.
+	*/
+	function parseCacheAdd(rawCodeString) {
+		if (_parseCache.has(rawCodeString)) {
+			return _parseCache.get(rawCodeString);
+		}
+
+		if (_parseCache.size >= _PARSE_CACHE_MAX) {
+			_parseCache.delete(_parseCache.keys().next().value);
+		}
+
+		const code = parse(rawCodeString);
+		_parseCache.set(rawCodeString, code);
+		return code;
+	}
+
+	function parseCacheClear() {
+		_parseCache.clear();
+	}
+
+	function parseCacheDelete(rawCodeString) {
+		return _parseCache.delete(rawCodeString);
+	}
+
+	function parseCacheSize() {
+		return _parseCache.size;
+	}
+
 
 	/*******************************************************************************************************************
 		Eval Functions.
@@ -925,7 +1031,7 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 		// as `parse()` will break references to it within the code string.
 		return (function (code, output, evalTwineScript$Data$) {
 			return eval(code);
-		}).call(output ? { output } : null, parse(String(code)), output, data);
+		}).call(output ? { output } : null, parseCached(String(code)), output, data);
 	}
 	/* eslint-enable no-eval, no-extra-parens, no-unused-vars */
 
@@ -934,8 +1040,16 @@ var Scripting = (() => { // eslint-disable-line no-unused-vars, no-var
 		Module Exports.
 	*******************************************************************************************************************/
 	return Object.freeze(Object.defineProperties({}, {
-		parse           : { value : parse },
+		parse           : { value : parseCached },
 		evalJavaScript  : { value : evalJavaScript },
-		evalTwineScript : { value : evalTwineScript }
+		evalTwineScript : { value : evalTwineScript },
+		parseCache      : {
+			value : Object.freeze(Object.defineProperties({}, {
+				add    : { value : parseCacheAdd },
+				clear  : { value : parseCacheClear },
+				delete : { value : parseCacheDelete },
+				size   : { get : parseCacheSize }
+			}))
+		}
 	}));
 })();
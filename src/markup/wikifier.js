@@ -33,6 +33,76 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 	 */
 	let _lastPassageQ = [];
 
+	// Stack of the active cancellation scopes, innermost last.
+	const _scopes = [];
+
+
+	/*******************************************************************************************************************
+		Scope Class.
+	*******************************************************************************************************************/
+	/*
+		Cancellation scope of a render tree.  Each render of `Engine.play()`—i.e., of the passage
+		and of each special passage—each dialog, and each render started outside of any other—e.g.,
+		by `<<timed>>` or a link's callback—gets a root scope of its own, which is shared by all of
+		its nested wikifiers and macro contexts.  Widgets get a child scope, so that `<<exit>>` only
+		ends the widget.
+
+		Cancelling a scope stops the wikifiers within it and its children, leaving other render trees
+		alone.
+	*/
+	class Scope {
+		constructor(parent = null) {
+			Object.defineProperties(this, {
+				parent : {
+					value : parent
+				},
+
+				_cancelled : {
+					writable : true,
+					value    : false
+				}
+			});
+		}
+
+		get cancelled() {
+			return this._cancelled || this.parent !== null && this.parent.cancelled;
+		}
+
+		get root() {
+			return this.parent === null ? this : this.parent.root;
+		}
+
+		cancel() {
+			this._cancelled = true;
+		}
+
+		child() {
+			return new Scope(this);
+		}
+
+		/*
+			Calls the given function with this as the active scope, returning its result.
+		*/
+		run(callback) {
+			_scopes.push(this);
+
+			try {
+				return callback();
+			}
+			finally {
+				_scopes.pop();
+			}
+		}
+
+		/*
+			Returns the active scope, or `null` if no render is in progress.
+		*/
+		static get current() {
+			return _scopes.length > 0 ? _scopes[_scopes.length - 1] : null;
+		}
+	}
+
+
 	/*******************************************************************************************************************
 		Wikifier Class.
 	*******************************************************************************************************************/
@@ -133,6 +203,11 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 					}, options)
 				},
 
+				// Cancellation scope: the given one, else the active one, else a new root scope.
+				scope : {
+					value : options && options.scope || Scope.current || new Scope()
+				},
+
 				nextMatch : {
 					writable : true,
 					value    : 0
@@ -176,7 +251,7 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 			try {
 				++_callDepth;
 
-				this.subWikify(this.output, undefined, undefined, passageObj);
+				this.scope.run(() => this.subWikify(this.output, undefined, undefined, passageObj));
 
 				// Limit line break conversion to non-recursive calls.
 				if (_callDepth === 1 && Config.cleanupWikifierOutput) {
@@ -251,7 +326,7 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 		// eslint-disable-next-line no-unused-vars
 		subWikify(output, terminator, options, passageObj) {
 			// Placed at top to prevent any execution
-			if (Wikifier.stopWikify) return;
+			if (this.scope.cancelled) return;
 
 			// Cache and temporarily replace the current output buffer.
 			const oldOutput = this.output;
@@ -343,7 +418,7 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 					// Call the parser.
 					parsersProfile.parsers[matchingParser].handler(this);
 
-					if (Wikifier.stopWikify) {
+					if (this.scope.cancelled) {
 						return;
 					}
 
@@ -739,8 +814,7 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 	*******************************************************************************************************************/
 	Object.defineProperties(Wikifier, {
 		helpers        : { value : {} },
-		/* Global exit flag */
-		stopWikify     : { value : false, writable : true },
+		Scope          : { value : Scope },
 		/*
 			Legacy Aliases.
 		*/
@@ -749,7 +823,28 @@ var Wikifier = (() => { // eslint-disable-line no-unused-vars, no-var
 		parse          : { value : Scripting.parse },           // SEE: `markup/scripting.js`.
 		evalExpression : { value : Scripting.evalTwineScript }, // SEE: `markup/scripting.js`.
 		evalStatements : { value : Scripting.evalTwineScript }, // SEE: `markup/scripting.js`.
-		textPrimitives : { value : Patterns }                   // SEE: `lib/patterns.js`.
+		textPrimitives : { value : Patterns },                  // SEE: `lib/patterns.js`.
+		/*
+			[DEPRECATED] Former global exit flag, superseded by cancellation scopes.  Setting `1`
+			cancels the active scope—i.e., exits the widget—while `2` cancels its whole render tree.
+		*/
+		stopWikify     : {
+			get() {
+				return Scope.current !== null && Scope.current.cancelled ? 2 : 0;
+			},
+			set(value) {
+				if (Scope.current === null || !value) {
+					return;
+				}
+
+				if (value === 1) {
+					Scope.current.cancel();
+				}
+				else {
+					Scope.current.root.cancel();
+				}
+			}
+		}
 	});
 
 
@@ -0,0 +1,201 @@
+/***********************************************************************************************************************
+
+	prefetch.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global Config, Links, Macro, Scripting, Story, Wikifier */
+
+var Prefetch = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	// Name of the tag which excludes a passage from prefetching.
+	const _NOPREFETCH_TAG = 'noprefetch';
+
+	// Titles of the passages which have been prefetched.
+	const _prefetched = new Set();
+
+	// Titles of the passages waiting to be prefetched, in order.
+	let _queue = [];
+
+	// ID of the pending prefetch callback, if any.
+	let _callbackId = null;
+
+	// Whether `requestIdleCallback()` is available.
+	const _hasIdleCallback = typeof window.requestIdleCallback === 'function';
+
+
+	/*******************************************************************************************************************
+		Prefetch Functions.
+	*******************************************************************************************************************/
+	/*
+		Sets up prefetching of the passages linked from each passage, after it has been displayed.
+		Prefetching is opt-in, via `Config.passages.prefetch`.
+	*/
+	function prefetchInit() {
+		if (DEBUG) { console.log('[Prefetch/prefetchInit()]'); }
+
+		jQuery(document).on(':passageend.prefetch', ev => {
+			if (Config.passages.prefetch > 0) {
+				prefetchLinks(ev.content);
+			}
+		});
+	}
+
+	/*
+		Queues the passages linked from within the given element—i.e., the targets of the links
+		found by `Links.findLinks()`—for prefetching, up to `Config.passages.prefetch` of them.
+		Replaces any passages still waiting from the previous call.
+	*/
+	function prefetchLinks(content) {
+		const titles = new Set();
+
+		Links.findLinks(content, true).each((_, link) => {
+			const title = link.getAttribute('data-passage');
+
+			if (title && !_prefetched.has(title) && isPrefetchable(title)) {
+				titles.add(title);
+			}
+		});
+
+		_queue = [...titles].slice(0, Config.passages.prefetch);
+		queueSchedule();
+	}
+
+	/*
+		Pre-lexes the macro arguments within the given passage's source, and pre-parses those which
+		are evaluated as code—i.e., those of macros which skip lexing—so that rendering it only has
+		to evaluate them.  Returns whether the passage was prefetched.
+
+		NOTE: Nothing is evaluated here, so prefetching has no side effects—other than calling
+		`Config.passages.onProcess`, if set, via `processText()`, which should not have any either.
+	*/
+	function prefetchPassage(title) {
+		if (_prefetched.has(title) || !isPrefetchable(title)) {
+			return false;
+		}
+
+		const source      = Story.get(title).processText();
+		const macroParser = Wikifier.Parser.get('macro');
+		const lookahead   = new RegExp(macroParser.lookahead.source, macroParser.lookahead.flags);
+		let match;
+
+		while ((match = lookahead.exec(source)) !== null) {
+			const name    = match[1];
+			const rawArgs = match[2];
+
+			if (name[0] === '/' || rawArgs.trim() === '') {
+				continue;
+			}
+
+			// Child tags are handled as their parent macros would, which may differ between parents.
+			const macro   = Macro.get(name);
+			const parents = macro
+				? [macro]
+				: (Macro.tags.get(name) || []).map(parent => Macro.get(parent)).filter(Boolean);
+			const skipped = parents.map(parent => macroParser.skipArgs(parent, name));
+
+			if (skipped.includes(false)) {
+				macroParser.parseArgs.cache.add(rawArgs);
+			}
+
+			if (skipped.includes(true)) {
+				Scripting.parseCache.add(rawArgs);
+			}
+		}
+
+		_prefetched.add(title);
+		return true;
+	}
+
+	/*
+		Returns whether the given passage exists and has not been excluded from prefetching.
+	*/
+	function isPrefetchable(title) {
+		return Story.has(title) && !Story.get(title).tags.includes(_NOPREFETCH_TAG);
+	}
+
+	function prefetchHas(title) {
+		return _prefetched.has(title);
+	}
+
+	function prefetchSize() {
+		return _prefetched.size;
+	}
+
+	/*
+		Discards the queue and everything prefetched so far.
+	*/
+	function prefetchClear() {
+		queueCancel();
+		_queue = [];
+		_prefetched.clear();
+		Scripting.parseCache.clear();
+		Wikifier.Parser.get('macro').parseArgs.cache.clear();
+	}
+
+
+	/*******************************************************************************************************************
+		Queue Functions.
+	*******************************************************************************************************************/
+	/*
+		Schedules prefetching of the next queued passage while the browser is idle, one passage
+		per callback so as not to delay user input.
+	*/
+	function queueSchedule() {
+		if (_callbackId !== null || _queue.length === 0) {
+			return;
+		}
+
+		_callbackId = _hasIdleCallback
+			? window.requestIdleCallback(queueProcess, { timeout : 1000 })
+			: setTimeout(queueProcess, 40);
+	}
+
+	function queueProcess() {
+		_callbackId = null;
+
+		const title = _queue.shift();
+
+		try {
+			prefetchPassage(title);
+		}
+		catch (ex) {
+			// Prefetching is only an optimization, so failures are logged rather than reported.
+			console.warn(`[Prefetch] unable to prefetch passage "${title}": ${ex.message}`);
+			_prefetched.add(title);
+		}
+
+		queueSchedule();
+	}
+
+	function queueCancel() {
+		if (_callbackId === null) {
+			return;
+		}
+
+		if (_hasIdleCallback) {
+			window.cancelIdleCallback(_callbackId);
+		}
+		else {
+			clearTimeout(_callbackId);
+		}
+
+		_callbackId = null;
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		init    : { value : prefetchInit },
+		links   : { value : prefetchLinks },
+		passage : { value : prefetchPassage },
+		has     : { value : prefetchHas },
+		size    : { get : prefetchSize },
+		clear   : { value : prefetchClear }
+	}));
+})();
@@ -0,0 +1,204 @@
+/***********************************************************************************************************************
+
+	profiler.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global Util, saveAs */
+
+var Profiler = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	// Names of the passage events whose handlers are timed individually.
+	const _EVENTS = Object.freeze([':passagestart', ':passagerender', ':passagedisplay', ':passageend']);
+
+	// Whether profiling is enabled.  Enabled by the debug bar, so only in debug mode.
+	let _enabled = false;
+
+	// Stack of the open frames of the profile in progress, innermost last.
+	const _stack = [];
+
+	// Last completed profile, or `null` if there is none.
+	let _profile = null;
+
+
+	/*******************************************************************************************************************
+		Profiler Functions.
+	*******************************************************************************************************************/
+	function profilerEnable() {
+		if (_enabled) {
+			return;
+		}
+
+		_enabled = true;
+
+		/*
+			Time each handler of the passage events separately.  jQuery calls the `handle` hook of
+			an event's special event object in place of each of its handlers.
+		*/
+		_EVENTS.forEach(type => {
+			jQuery.event.special[type] = Object.assign({}, jQuery.event.special[type], {
+				handle(ev) {
+					const handleObj = ev.handleObj;
+					const handler   = handleObj.handler;
+					const name      = `${handler.name || '(anonymous)'}${handleObj.namespace ? ` [${handleObj.namespace}]` : ''}`;
+
+					return profilerMeasure(type, name, () => handler.apply(this, arguments));
+				}
+			});
+		});
+	}
+
+	function profilerDisable() {
+		if (!_enabled) {
+			return;
+		}
+
+		_enabled = false;
+		_EVENTS.forEach(type => {
+			if (jQuery.event.special[type]) {
+				delete jQuery.event.special[type].handle;
+			}
+		});
+	}
+
+	function profilerIsEnabled() {
+		return _enabled;
+	}
+
+	/*
+		Profiles the given callback, returning its result.  The profile becomes the last profile
+		once the callback returns and the `:profileupdate` event is triggered.  If a profile is
+		already in progress, the callback is simply measured as part of it.
+	*/
+	function profilerProfile(type, name, callback) {
+		if (!_enabled || _stack.length > 0) {
+			return profilerMeasure(type, name, callback);
+		}
+
+		const root = frameCreate(type, name);
+		_stack.push(root);
+
+		try {
+			return callback();
+		}
+		finally {
+			frameClose(root);
+			_stack.pop();
+			_profile = frameToJSON(root, root.start);
+
+			jQuery.event.trigger({
+				type    : ':profileupdate',
+				profile : _profile
+			});
+		}
+	}
+
+	/*
+		Measures the given callback as a frame of the profile in progress, if any, returning its
+		result.  Frame types used by SugarCube: 'passage', 'render', 'special', 'task', 'macro',
+		'widget', 'include', and the passage event names.
+	*/
+	function profilerMeasure(type, name, callback) {
+		if (_stack.length === 0) {
+			return callback();
+		}
+
+		const frame = frameCreate(type, name);
+		_stack[_stack.length - 1].children.push(frame);
+		_stack.push(frame);
+
+		try {
+			return callback();
+		}
+		finally {
+			frameClose(frame);
+			_stack.pop();
+		}
+	}
+
+	/*
+		Returns the last completed profile, or `null` if there is none.  Profiles are trees of
+		frame objects:
+
+			type     → Frame type—e.g., 'macro'.
+			name     → Frame name—e.g., the macro's name.
+			start    → Start time, in milliseconds since the start of the profile.
+			time     → Total time, in milliseconds.
+			self     → Time not spent within child frames, in milliseconds.
+			children → Array of child frames, in call order.
+	*/
+	function profilerGet() {
+		return _profile;
+	}
+
+	function profilerClear() {
+		_profile = null;
+	}
+
+	/*
+		Saves the last completed profile to disk as JSON.
+	*/
+	function profilerExport() {
+		if (_profile === null) {
+			return;
+		}
+
+		saveAs(
+			new Blob([JSON.stringify(_profile, null, '\t')], { type : 'application/json;charset=UTF-8' }),
+			`profile-${Util.slugify(_profile.name) || 'passage'}.json`
+		);
+	}
+
+
+	/*******************************************************************************************************************
+		Utility Functions.
+	*******************************************************************************************************************/
+	function frameCreate(type, name) {
+		return {
+			type,
+			name     : String(name),
+			start    : Util.now(),
+			time     : 0,
+			children : []
+		};
+	}
+
+	function frameClose(frame) {
+		frame.time = Util.now() - frame.start; // eslint-disable-line no-param-reassign
+	}
+
+	function frameToJSON(frame, origin) {
+		const children = frame.children.map(child => frameToJSON(child, origin));
+
+		return {
+			type  : frame.type,
+			name  : frame.name,
+			start : roundTime(frame.start - origin),
+			time  : roundTime(frame.time),
+			self  : roundTime(Math.max(0, frame.time - frame.children.reduce((sum, child) => sum + child.time, 0))),
+			children
+		};
+	}
+
+	function roundTime(ms) {
+		return Math.round(ms * 1000) / 1000;
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		enable    : { value : profilerEnable },
+		disable   : { value : profilerDisable },
+		isEnabled : { value : profilerIsEnabled },
+		profile   : { value : profilerProfile },
+		measure   : { value : profilerMeasure },
+		last      : { get : profilerGet },
+		clear     : { value : profilerClear },
+		export    : { value : profilerExport }
+	}));
+})();
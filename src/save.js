@@ -6,7 +6,7 @@
 	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
 
 ***********************************************************************************************************************/
-/* global Config, Dialog, Engine, L10n, State, Story, UI, Util, storage, idb */
+/* global Config, Dialog, Engine, L10n, Serial, State, Story, Tabs, UI, Util, clone, storage, idb */
 
 var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
@@ -31,6 +31,12 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	// Set of onSave handlers.
 	const _onSaveHandlers = new Set();
 
+	// Rough Web Storage quota, in characters, as browsers do not report it—5 MiB being the most common.
+	const _webStorageQuota = 5 * 1024 * 1024;
+
+	// Whether the player has been warned about running low on storage this session.
+	let _usageWarned = false;
+
 
 	/********************************
 		split save stuff
@@ -41,28 +47,40 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	function splitSave(slot, data) {
-		storage.set(slot === 'autosave' ? slot : `slot${slot}`, data);
-		const index = indexGet();
-		delete data.state;
-		slot === 'autosave' ? index.autosave = data : index.slots[slot] = data;
-		try {
-			storage.set('index', index);
-		}
-		catch (ex) {
-			storage.delete(slot === 'autosave' ? 'autosave' : `slot${slot}`);
-			// eslint-disable-next-line no-alert
-			alert('Storage quota exceeded, try removing other saves first');
-		}
+		// The index is shared by every slot, so other tabs must not update it at the same time.
+		return Tabs.withLock('local', () => {
+			storage.set(slot === 'autosave' ? slot : `slot${slot}`, data);
+			const index = indexGet();
+			delete data.state;
+			slot === 'autosave' ? index.autosave = data : index.slots[slot] = data;
+			try {
+				storage.set('index', index);
+			}
+			catch (ex) {
+				storage.delete(slot === 'autosave' ? 'autosave' : `slot${slot}`);
+				_usageExceeded();
+				return false;
+			}
 
-		return true;
+			Tabs.notify('local', slot);
+
+			if (typeof storage.usage === 'function') {
+				usageCheck(storage.usage(), _webStorageQuota);
+			}
+
+			return true;
+		});
 	}
 
 	function splitDelete(slot) {
-		storage.delete(slot === 'autosave' ? slot : `slot${slot}`);
-		const index = indexGet();
-		slot === 'autosave' ? index.autosave = null : index.slots[slot] = null;
-		storage.set('index', index);
-		return true;
+		return Tabs.withLock('local', () => {
+			storage.delete(slot === 'autosave' ? slot : `slot${slot}`);
+			const index = indexGet();
+			slot === 'autosave' ? index.autosave = null : index.slots[slot] = null;
+			storage.set('index', index);
+			Tabs.notify('local', slot);
+			return true;
+		});
 	}
 
 	/*******************************************************************************************************************
@@ -116,6 +134,15 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		_slotsUBound = saves.slots.length - 1;
 
+		// Rebuild the saves dialog when another tab changes the saves.
+		jQuery(document)
+			.off(':tabwrite.save')
+			.on(':tabwrite.save', ev => {
+				if (ev.store === 'local' && !idb.active && Dialog.isOpen('saves')) {
+					UI.buildSaves();
+				}
+			});
+
 		return true;
 	}
 
@@ -145,6 +172,39 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		return autosaveOk() || slotsOk();
 	}
 
+	/*
+		Returns a comparison function for sorting saves, or their details, by the given
+		key—one of `'date'`, `'title'`, `'passage'`, or `'metadata.<name>'` for a custom
+		metadata field.  Dates sort newest first by default, everything else ascending.
+		Saves lacking the value always sort last.
+	*/
+	function savesComparator(key, descending = key === 'date') {
+		const valueOf = saveObj => {
+			if (saveObj == null) { // lazy equality for null
+				return undefined;
+			}
+
+			return key.startsWith('metadata.') ? saveObj.metadata?.[key.slice(9)] : saveObj[key];
+		};
+
+		return (a, b) => {
+			const aVal   = valueOf(a);
+			const bVal   = valueOf(b);
+			const aEmpty = aVal == null || aVal === ''; // lazy equality for null
+			const bEmpty = bVal == null || bVal === ''; // lazy equality for null
+
+			if (aEmpty || bEmpty) {
+				return aEmpty - bEmpty;
+			}
+
+			const order = typeof aVal === 'number' && typeof bVal === 'number'
+				? aVal - bVal
+				: String(aVal).localeCompare(String(bVal), undefined, { numeric : true });
+
+			return descending ? -order : order;
+		};
+	}
+
 
 	/*******************************************************************************************************************
 		Autosave Functions.
@@ -171,7 +231,7 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	function autosaveLoad() {
 		// idb intercept
 		if (idb.active) {
-			idb.loadState(0);
+			idb.loadAutosave();
 			return true;
 		}
 
@@ -191,11 +251,10 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		// idb intercept
 		if (idb.active) {
-			idb.saveState(0, title, metadata);
+			idb.autosave(title, metadata);
 			return true;
 		}
 
-		const saves        = savesObjGet();
 		const supplemental = {
 			title : title || Story.get(State.passage).description(),
 			date  : Date.now()
@@ -207,17 +266,14 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		const saveData = _marshal(supplemental, { type : Type.Autosave });
 		if (useSplit()) return splitSave('autosave', saveData);
-		saves.autosave = saveData;
 
-		return _savesObjSave(saves);
+		return _savesObjUpdate('autosave', saveData);
 	}
 
 	function autosaveDelete() {
 		if (useSplit()) return splitDelete('autosave');
 
-		const saves = savesObjGet();
-		saves.autosave = null;
-		return _savesObjSave(saves);
+		return _savesObjUpdate('autosave', null);
 	}
 
 
@@ -328,9 +384,7 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		const saveData = _marshal(supplemental, { type : Type.Slot });
 		if (useSplit()) return splitSave(slot, saveData);
 
-		saves.slots[slot] = saveData;
-
-		return _savesObjSave(saves);
+		return _savesObjUpdate(slot, saveData);
 	}
 
 	function slotsDelete(slot) {
@@ -346,8 +400,7 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		if (useSplit()) return splitDelete(slot);
 
-		saves.slots[slot] = null;
-		return _savesObjSave(saves);
+		return _savesObjUpdate(slot, null);
 	}
 
 
@@ -511,6 +564,230 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 
+	/*******************************************************************************************************************
+		Verification Functions.
+	*******************************************************************************************************************/
+	/*
+		Checks the given marshaled state object for internal consistency and returns a
+		report of the form `{ ok, repaired, fatal, problems }`, where each problem is a
+		`{ code, message }` object.
+
+		A delta encoded history is decoded in place, keeping every moment up to the
+		first one which fails to decode.  When `repair` is not `false`, damage is also
+		repaired in place—history is truncated to the last valid moment and the active
+		index is clamped into range.  A state which retains no usable history at all is
+		reported as fatal.
+	*/
+	function verify(stateObj, repair = true) {
+		const report = {
+			ok       : true,
+			repaired : false,
+			fatal    : false,
+			problems : []
+		};
+		const problem = (code, overrides) => {
+			report.ok = false;
+			report.problems.push({ code, message : L10n.get(code, overrides) });
+		};
+
+		if (stateObj == null || typeof stateObj !== 'object') { // lazy equality for null
+			problem('savesVerifyNoHistory');
+			report.fatal = true;
+			return report;
+		}
+
+		/* eslint-disable no-param-reassign */
+
+		// Decode the delta, stopping at the first undecodable moment.
+		if (!Array.isArray(stateObj.history) && Array.isArray(stateObj.delta)) {
+			const history = [];
+
+			try {
+				for (let i = 0; i < stateObj.delta.length; ++i) {
+					const entry = stateObj.delta[i];
+					history.push(i === 0 ? clone(entry) : State.deltaPatch(history[i - 1], entry));
+				}
+			}
+			catch (ex) {
+				problem('savesVerifyDeltaBroken', { moment : history.length + 1 });
+			}
+
+			stateObj.history = history;
+			delete stateObj.delta;
+		}
+
+		const history = Array.isArray(stateObj.history) ? stateObj.history : [];
+
+		// Find the first malformed moment.
+		let valid = history.findIndex(moment => moment == null || typeof moment !== 'object'); // lazy equality for null
+
+		if (valid === -1) {
+			valid = history.length;
+		}
+		else {
+			problem('savesVerifyMomentInvalid', { moment : valid + 1 });
+		}
+
+		// Find the first moment whose passage is missing or whose variables are malformed.
+		for (let i = 0; i < valid; ++i) {
+			const moment = history[i];
+
+			if (typeof moment.title !== 'string' || !Story.has(moment.title)) {
+				problem('savesVerifyPassageMissing', { moment : i + 1, title : String(moment.title) });
+				valid = i;
+			}
+			else if (moment.variables == null || typeof moment.variables !== 'object') { // lazy equality for null
+				problem('savesVerifyMomentInvalid', { moment : i + 1 });
+				valid = i;
+			}
+		}
+
+		if (valid === 0) {
+			if (history.length === 0) {
+				problem('savesVerifyNoHistory');
+			}
+
+			report.fatal = true;
+			return report;
+		}
+
+		const index = stateObj.index;
+
+		if (!Number.isInteger(index) || index < 0 || index >= history.length) {
+			problem('savesVerifyIndexInvalid', { index : String(index) });
+		}
+
+		if (stateObj.hasOwnProperty('expired') && (!Array.isArray(stateObj.expired) || stateObj.expired.some(title => typeof title !== 'string'))) {
+			problem('savesVerifyExpiredInvalid');
+		}
+
+		if (report.ok || repair === false) {
+			return report;
+		}
+
+		stateObj.history = history.slice(0, valid);
+
+		if (!Number.isInteger(index) || index < 0 || index >= valid) {
+			stateObj.index = valid - 1;
+		}
+
+		if (stateObj.hasOwnProperty('expired') && !Array.isArray(stateObj.expired)) {
+			stateObj.expired = [];
+		}
+		else if (stateObj.hasOwnProperty('expired')) {
+			stateObj.expired = stateObj.expired.filter(title => typeof title === 'string');
+		}
+		/* eslint-enable no-param-reassign */
+
+		report.repaired = true;
+		return report;
+	}
+
+	/*
+		Returns the given verification report as markup suitable for `UI.alert()`.
+	*/
+	function verifyReportToMarkup(report) {
+		const header = L10n.get(report.fatal ? 'savesVerifyFailed' : 'savesVerifyRepaired');
+		const items = report.problems.map(problem => `<li>${Util.escape(problem.message)}</li>`).join('');
+
+		return `${header}</p><ul>${items}</ul><p>`;
+	}
+
+
+	/*******************************************************************************************************************
+		Storage Usage Functions.
+	*******************************************************************************************************************/
+	/*
+		Returns a promise for an estimate of the space used by saves, of the form
+		`{ backend, used, quota, saves }`—where `used` is what counts against `quota`,
+		which is `null` if unknown, and `saves` an array of `{ slot, size }` objects.
+		Sizes are in characters for Web Storage, which is what its quota counts, and in
+		bytes otherwise.  Skips the per-save sizes, which is slow for IndexedDB, when
+		`detailed` is `false`.
+	*/
+	function usageGet(detailed = true) {
+		if (idb.active) {
+			return idb.usage(detailed);
+		}
+
+		const report = {
+			backend : storage.name,
+			used    : 0,
+			quota   : null,
+			saves   : []
+		};
+
+		if (typeof storage.usage !== 'function') {
+			return Promise.resolve(report);
+		}
+
+		report.used  = storage.usage();
+		report.quota = _webStorageQuota;
+
+		if (detailed) {
+			const saves   = savesObjGet();
+			const entries = [['autosave', saves.autosave], ...saves.slots.map((saveObj, slot) => [slot, saveObj])]
+				.filter(([, saveObj]) => saveObj);
+
+			if (useSplit()) {
+				entries.forEach(([slot]) => report.saves.push({
+					slot,
+					size : storage.usage(slot === 'autosave' ? slot : `slot${slot}`)
+				}));
+			}
+			else {
+				// The saves share a single key, so apportion its size by their serialized lengths.
+				const lengths = entries.map(([, saveObj]) => JSON.stringify(saveObj).length);
+				const ratio   = storage.usage('saves') / (lengths.reduce((sum, length) => sum + length, 0) || 1);
+				entries.forEach(([slot], i) => report.saves.push({ slot, size : Math.round(lengths[i] * ratio) }));
+			}
+		}
+
+		return Promise.resolve(report);
+	}
+
+	/*
+		Returns whether the given usage is within the warning threshold of the quota—see
+		`Config.saves.quotaWarning`—warning the player about it once per session.
+	*/
+	function usageCheck(used, quota) {
+		const threshold = Config.saves.quotaWarning;
+
+		if (!quota || !threshold || used / quota < threshold) {
+			return false;
+		}
+
+		if (!_usageWarned) {
+			const message = `${L10n.get('savesQuotaWarning')} ${usageSummary(used, quota)}`;
+			_usageWarned = true;
+
+			if (Dialog.isOpen()) {
+				$(document).one(':dialogclosed', () => UI.alert(message));
+			}
+			else {
+				UI.alert(message);
+			}
+		}
+
+		return true;
+	}
+
+	/*
+		Returns a localized summary of the given usage, for display.
+	*/
+	function usageSummary(used, quota) {
+		if (!quota) {
+			return L10n.get('savesUsageNoQuota', { used : _formatSize(used) });
+		}
+
+		return L10n.get('savesUsage', {
+			used    : _formatSize(used),
+			quota   : _formatSize(quota),
+			percent : Math.round(used / quota * 100)
+		});
+	}
+
+
 	/*******************************************************************************************************************
 		Utility Functions.
 	*******************************************************************************************************************/
@@ -536,13 +813,70 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		return saves.autosave === null && isSlotsEmpty;
 	}
 
+	/*
+		Puts the given save data, or `null`, into the slot of a fresh copy of the saves object and stores it,
+		while holding the lock shared by every tab, so that a save made in another tab meanwhile isn't
+		overwritten by a stale copy.  Returns a promise resolving to whether the saves were stored.
+	*/
+	function _savesObjUpdate(slot, data) {
+		return Tabs.withLock('local', () => {
+			const saves = savesObjGet();
+			slot === 'autosave' ? saves.autosave = data : saves.slots[slot] = data;
+			return _savesObjSave(saves);
+		});
+	}
+
 	function _savesObjSave(saves) {
 		if (_savesObjIsEmpty(saves)) {
 			storage.delete('saves');
+			// Let other tabs know that the saves have changed.
+			Tabs.notify('local');
 			return true;
 		}
 
-		return storage.set('saves', saves);
+		try {
+			storage.set('saves', saves);
+		}
+		catch (ex) {
+			if (!/quota exceeded/i.test(ex.message)) {
+				throw ex;
+			}
+
+			_usageExceeded();
+			return false;
+		}
+
+		Tabs.notify('local');
+
+		if (typeof storage.usage === 'function') {
+			usageCheck(storage.usage(), _webStorageQuota);
+		}
+
+		return true;
+	}
+
+	function _usageExceeded() {
+		const message = L10n.get('savesQuotaExceeded');
+
+		if (Dialog.isOpen()) {
+			$(document).one(':dialogclosed', () => UI.alert(message));
+		}
+		else {
+			UI.alert(message);
+		}
+	}
+
+	function _formatSize(size) {
+		const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+		let value = size;
+		let unit  = 0;
+
+		while (value >= 1024 && unit < units.length - 1) {
+			value /= 1024;
+			++unit;
+		}
+
+		return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
 	}
 
 
@@ -554,9 +888,10 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		}
 
 		const saveObj = Object.assign({}, supplemental, {
-			id    : Config.saves.id,
-			state : State.marshalForSave(),
-			idx   : State.qc
+			id      : Config.saves.id,
+			state   : State.marshalForSave(),
+			idx     : State.qc,
+			passage : State.passage
 		});
 
 		if (Config.saves.version) {
@@ -565,6 +900,12 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		_onSaveHandlers.forEach(fn => fn(saveObj, details));
 
+		// Wrap registered types, so they survive serialization.
+		saveObj.state.history.forEach(moment => Serial.encode(moment.variables));
+		(saveObj.state.branches || []).forEach(branch => {
+			branch.history.forEach(moment => Serial.encode(moment.variables));
+		});
+
 		saveObj.state.delta = State.deltaEncode(saveObj.state.history);
 		delete saveObj.state.history;
 
@@ -574,6 +915,8 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 	function _unmarshal(saveObj) {
 		if (DEBUG) { console.log('[Save/_unmarshal()]'); }
 
+		let report;
+
 		try {
 			/* eslint-disable no-param-reassign */
 
@@ -581,7 +924,7 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 				throw new Error(L10n.get('errorSaveMissingData'));
 			}
 
-			// Delta decode the state history and delete the encoded property.
+			// Decode a legacy jdelta encoded history, plain delta encoded ones are left to `verify()`.
 			if (!saveObj.state.history) {
 				if (saveObj.state.jdelta) {
 					let corruptionTrigger = false;
@@ -600,14 +943,26 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 						delete saveObj.state.realIndex;
 					}
 					delete saveObj.state.jdelta;
+					delete saveObj.state.delta;
 				}
-				else if (saveObj.state.delta) {
-					saveObj.state.history = State.deltaDecode(saveObj.state.delta);
-				}
-				delete saveObj.state.delta;
 			}
 			if (saveObj.state.realIndex) saveObj.state.index = saveObj.state.realIndex;
 
+			// Decode any remaining delta and repair what damage can be repaired, rather
+			// than letting the state restoration throw midway through.
+			report = verify(saveObj.state);
+
+			if (report.fatal) {
+				UI.alert(`${verifyReportToMarkup(report)}${L10n.get('aborting')}.`);
+				return false;
+			}
+
+			// Revive registered types.
+			saveObj.state.history.forEach(moment => Serial.decode(moment.variables));
+			(saveObj.state.branches || []).forEach(branch => {
+				(branch.history || []).forEach(moment => Serial.decode(moment.variables));
+			});
+
 			_onLoadHandlers.forEach(fn => fn(saveObj));
 
 			if (saveObj.id !== Config.saves.id) throw new Error(L10n.get('errorSaveIdMismatch'));
@@ -625,6 +980,11 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 			return false;
 		}
 
+		// Let the player know that the save was repaired.
+		if (report.repaired) {
+			UI.alert(verifyReportToMarkup(report));
+		}
+
 		return true;
 	}
 
@@ -636,10 +996,11 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		/*
 			Save Functions.
 		*/
-		init  : { value : savesInit },
-		get   : { value : savesObjGet },
-		clear : { value : savesObjClear },
-		ok    : { value : savesOk },
+		init       : { value : savesInit },
+		get        : { value : savesObjGet },
+		clear      : { value : savesObjClear },
+		ok         : { value : savesOk },
+		comparator : { value : savesComparator },
 
 		/*
 			Autosave Functions.
@@ -684,6 +1045,23 @@ var Save = (() => { // eslint-disable-line no-unused-vars, no-var
 		serialize   : { value : serialize },
 		deserialize : { value : deserialize },
 
+		/*
+			Storage Usage Functions.
+		*/
+		usage : {
+			value : Object.freeze(Object.defineProperties({}, {
+				get     : { value : usageGet },
+				check   : { value : usageCheck },
+				summary : { value : usageSummary }
+			}))
+		},
+
+		/*
+			Verification Functions.
+		*/
+		verify       : { value : verify },
+		verifyReport : { value : verifyReportToMarkup },
+
 		/*
 			Event Functions.
 		*/
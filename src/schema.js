@@ -0,0 +1,376 @@
+/***********************************************************************************************************************
+
+	schema.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global State, Story, clone, getTypeOf */
+
+var Schema = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	// Schema types, type name → predicate.
+	const _types = Object.freeze({
+		any     : () => true,
+		boolean : value => typeof value === 'boolean',
+		number  : value => typeof value === 'number' && !Number.isNaN(value),
+		integer : value => Number.isInteger(value),
+		string  : value => typeof value === 'string',
+		array   : value => Array.isArray(value),
+		object  : value => getTypeOf(value) === 'Object',
+		map     : value => value instanceof Map,
+		set     : value => value instanceof Set,
+		date    : value => value instanceof Date
+	});
+
+	// Variable definitions, variable name (sans sigil) → definition object.
+	const _definitions = new Map();
+
+	// Whether to report story variables which have no definition—e.g., typos like `$helth`.
+	let _strict = false;
+
+	// Violations found by the last check, as `{ name, message }` objects.
+	let _violations = [];
+
+
+	/*******************************************************************************************************************
+		Schema Functions.
+	*******************************************************************************************************************/
+	/*
+		Loads the definitions from the `StorySchema` special passage, if it exists, which must contain
+		a JSON object of variable names → definitions—i.e., the object form of `Schema.define()`.
+		Definitions made by the story's JavaScript take precedence.
+	*/
+	function schemaInit() {
+		if (DEBUG) { console.log('[Schema/schemaInit()]'); }
+
+		if (!Story.has('StorySchema')) {
+			return;
+		}
+
+		let defs;
+
+		try {
+			defs = JSON.parse(Story.get('StorySchema').text);
+		}
+		catch (ex) {
+			throw new Error(`"StorySchema" special passage must contain a JSON object (${ex.message})`);
+		}
+
+		if (getTypeOf(defs) !== 'Object') {
+			throw new TypeError(`"StorySchema" special passage must contain a JSON object (received: ${getTypeOf(defs)})`);
+		}
+
+		Object.keys(defs)
+			.filter(name => !definitionsHas(name))
+			.forEach(name => definitionsAdd(name, defs[name]));
+	}
+
+	/*
+		Sets any undefined story variables which have a default value to a copy of it.  Called before
+		`StoryInit` and after loading a save, so that saves from before a variable was added pick up
+		its default.
+	*/
+	function schemaApplyDefaults(variables = State.variables) {
+		_definitions.forEach((def, name) => {
+			if (typeof variables[name] === 'undefined' && def.hasOwnProperty('default')) {
+				variables[name] = clone(def.default); // eslint-disable-line no-param-reassign
+			}
+		});
+	}
+
+	/*
+		Validates the story variables against the definitions, returning the violations found, as
+		`{ name, message }` objects.  Violations are also logged to the console and reported via the
+		`:schemacheck` event, whose `context` property is the given context—e.g., `'play'` or `'load'`.
+	*/
+	function schemaCheck(context, variables = State.variables) {
+		if (_definitions.size === 0) {
+			return [];
+		}
+
+		const violations = [];
+
+		_definitions.forEach((def, name) => {
+			if (typeof variables[name] === 'undefined') {
+				if (!def.optional) {
+					violations.push({ name : `$${name}`, message : 'is not defined' });
+				}
+
+				return;
+			}
+
+			valueCheck(`$${name}`, variables[name], def, violations);
+		});
+
+		if (_strict) {
+			Object.keys(variables)
+				.filter(name => !_definitions.has(name))
+				.forEach(name => violations.push({ name : `$${name}`, message : 'is not declared in the schema' }));
+		}
+
+		_violations = violations;
+
+		if (violations.length > 0) {
+			console.warn(
+				`[Schema] ${violations.length} violation${violations.length === 1 ? '' : 's'}`
+				+ ` in passage "${State.passage}" (${context}):\n\t${violations.map(violationToString).join('\n\t')}`
+			);
+		}
+
+		jQuery.event.trigger({
+			type : ':schemacheck',
+			context,
+			violations
+		});
+
+		return violations;
+	}
+
+	function schemaViolations() {
+		return [..._violations];
+	}
+
+	function violationToString(violation) {
+		return `${violation.name} ${violation.message}`;
+	}
+
+
+	/*******************************************************************************************************************
+		Definitions Functions.
+	*******************************************************************************************************************/
+	/*
+		Defines the type of the given story variable.  May also be called with a single object of
+		variable names → definitions.  Definition object properties:
+
+			type      → Type name: 'any', 'boolean', 'number', 'integer', 'string', 'array', 'object',
+			            'map', 'set', or 'date'.  Default: 'any'.
+			values    → (optional) Array of the allowed values.
+			min       → (optional) Minimum value of numbers, or the minimum size of strings, arrays,
+			            maps, and sets.
+			max       → (optional) Maximum value of numbers, or the maximum size of strings, arrays,
+			            maps, and sets.
+			nullable  → (optional) Whether `null` is allowed.  Default: `false`.
+			optional  → (optional) Whether the variable may be undefined.  Default: `false`.
+			default   → (optional) Value given to the variable when it is undefined at story start or
+			            after loading a save.
+			items     → (optional) Definition which every member of an array, map, or set must match.
+			props     → (optional) Object of property names → definitions, for objects.
+			validate  → (optional) Function called with the value, which returns an error message, or
+			            a falsy value if the value is valid.
+	*/
+	function definitionsAdd(name, def) {
+		if (typeof name === 'object' && name !== null && arguments.length === 1) {
+			Object.keys(name).forEach(key => definitionsAdd(key, name[key]));
+			return;
+		}
+
+		if (typeof name !== 'string' || name.trim() === '') {
+			throw new TypeError(`Schema.define name parameter must be a non-empty string (received: ${getTypeOf(name)})`);
+		}
+
+		const key = nameToKey(name);
+
+		_definitions.set(key, definitionCreate(`$${key}`, def));
+	}
+
+	function definitionsDelete(name) {
+		return _definitions.delete(nameToKey(name));
+	}
+
+	function definitionsClear() {
+		_definitions.clear();
+		_violations = [];
+	}
+
+	function definitionsGet(name) {
+		return _definitions.get(nameToKey(name)) || null;
+	}
+
+	function definitionsHas(name) {
+		return _definitions.has(nameToKey(name));
+	}
+
+	function definitionsNames() {
+		return [..._definitions.keys()].map(key => `$${key}`);
+	}
+
+	function definitionsSize() {
+		return _definitions.size;
+	}
+
+
+	/*******************************************************************************************************************
+		Utility Functions.
+	*******************************************************************************************************************/
+	function nameToKey(name) {
+		const key = String(name).trim();
+		return key[0] === '$' ? key.slice(1) : key;
+	}
+
+	/*
+		Returns a frozen copy of the given definition, throwing if it is malformed.
+	*/
+	function definitionCreate(label, def) {
+		if (typeof def === 'string') {
+			return definitionCreate(label, { type : def });
+		}
+
+		if (getTypeOf(def) !== 'Object') {
+			throw new TypeError(`Schema definition of ${label} must be an object or type name (received: ${getTypeOf(def)})`);
+		}
+
+		const definition = Object.assign({ type : 'any' }, def);
+
+		if (!_types.hasOwnProperty(definition.type)) {
+			throw new Error(`Schema definition of ${label} has an unknown type "${definition.type}" (valid: ${Object.keys(_types).join(', ')})`);
+		}
+
+		['min', 'max'].forEach(prop => {
+			if (definition.hasOwnProperty(prop) && !Number.isFinite(definition[prop])) {
+				throw new TypeError(`Schema definition of ${label} ${prop} must be a finite number`);
+			}
+		});
+
+		if (definition.hasOwnProperty('values')) {
+			if (!Array.isArray(definition.values) || definition.values.length === 0) {
+				throw new TypeError(`Schema definition of ${label} values must be a non-empty array`);
+			}
+
+			definition.values = Object.freeze([...definition.values]);
+		}
+
+		if (definition.hasOwnProperty('validate') && typeof definition.validate !== 'function') {
+			throw new TypeError(`Schema definition of ${label} validate must be a function`);
+		}
+
+		if (definition.hasOwnProperty('items')) {
+			definition.items = definitionCreate(`${label}[]`, definition.items);
+		}
+
+		if (definition.hasOwnProperty('props')) {
+			if (getTypeOf(definition.props) !== 'Object') {
+				throw new TypeError(`Schema definition of ${label} props must be an object`);
+			}
+
+			definition.props = Object.freeze(Object.keys(definition.props).reduce((props, prop) => {
+				props[prop] = definitionCreate(`${label}.${prop}`, definition.props[prop]); // eslint-disable-line no-param-reassign
+				return props;
+			}, {}));
+		}
+
+		if (definition.hasOwnProperty('default')) {
+			const violations = [];
+			valueCheck(label, definition.default, definition, violations);
+
+			if (violations.length > 0) {
+				throw new Error(`Schema definition of ${label} has an invalid default: ${violations.map(violationToString).join('; ')}`);
+			}
+		}
+
+		return Object.freeze(definition);
+	}
+
+	/*
+		Checks the given value against the given definition, adding any violations to the array.
+	*/
+	function valueCheck(label, value, def, violations) {
+		if (value === null) {
+			if (!def.nullable && def.type !== 'any') {
+				violations.push({ name : label, message : 'must not be null' });
+			}
+
+			return;
+		}
+
+		if (!_types[def.type](value)) {
+			violations.push({ name : label, message : `must be of type ${def.type} (is: ${getTypeOf(value)})` });
+			return;
+		}
+
+		if (def.values && !def.values.some(allowed => Object.is(allowed, value) || allowed === value)) {
+			violations.push({ name : label, message : `must be one of: ${def.values.map(allowed => JSON.stringify(allowed)).join(', ')}` });
+		}
+
+		const what = typeof value === 'number' ? 'value' : 'size';
+		let size = value instanceof Map || value instanceof Set ? value.size : value.length;
+
+		if (typeof value === 'number') {
+			size = value;
+		}
+
+		if (typeof size === 'number') {
+			if (def.hasOwnProperty('min') && size < def.min) {
+				violations.push({ name : label, message : `${what} must be at least ${def.min} (is: ${size})` });
+			}
+
+			if (def.hasOwnProperty('max') && size > def.max) {
+				violations.push({ name : label, message : `${what} must be at most ${def.max} (is: ${size})` });
+			}
+		}
+
+		if (def.items) {
+			const members = value instanceof Map ? [...value.values()] : [...value];
+			members.forEach((member, i) => valueCheck(`${label}[${value instanceof Set ? '' : i}]`, member, def.items, violations));
+		}
+
+		if (def.props) {
+			Object.keys(def.props).forEach(prop => {
+				if (typeof value[prop] === 'undefined') {
+					if (!def.props[prop].optional) {
+						violations.push({ name : `${label}.${prop}`, message : 'is not defined' });
+					}
+				}
+				else {
+					valueCheck(`${label}.${prop}`, value[prop], def.props[prop], violations);
+				}
+			});
+		}
+
+		if (def.validate) {
+			let message;
+
+			try {
+				message = def.validate(value);
+			}
+			catch (ex) {
+				message = `validate threw an error: ${ex.message}`;
+			}
+
+			if (message) {
+				violations.push({ name : label, message : String(message) });
+			}
+		}
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		/*
+			Schema Functions.
+		*/
+		init          : { value : schemaInit },
+		applyDefaults : { value : schemaApplyDefaults },
+		check         : { value : schemaCheck },
+		violations    : { get : schemaViolations },
+		strict        : {
+			get() { return _strict; },
+			set(value) { _strict = Boolean(value); }
+		},
+
+		/*
+			Definitions Functions.
+		*/
+		define : { value : definitionsAdd },
+		delete : { value : definitionsDelete },
+		clear  : { value : definitionsClear },
+		get    : { value : definitionsGet },
+		has    : { value : definitionsHas },
+		names  : { get : definitionsNames },
+		size   : { get : definitionsSize }
+	}));
+})();
@@ -6,7 +6,7 @@
 	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
 
 ***********************************************************************************************************************/
-/* global Config, Diff, Engine, PRNG, Scripting, clone, session, storage, */
+/* global Config, Diff, Engine, LZString, PRNG, Schema, Scripting, clone, session, storage, */
 
 var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
@@ -14,6 +14,11 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	// History moment stack.
 	let _history = [];
 
+	// Cached sizes of moments, moment → size, and the running total of the history's, or `null` if it has
+	// been replaced since it was last added up.
+	const _momentBytes = new WeakMap();
+	let _historyBytes = null;
+
 	// Currently active/played moment.
 	let _active = momentCreate();
 
@@ -23,12 +28,38 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	// Titles of all moments which have expired (i.e. fallen off the bottom of the stack).
 	let _expired = [];
 
+	// (optional) Branches of the history tree, other than the active one, as `{ id, path }` objects.
+	// Each path is a full history array, which shares its oldest moments, by reference, with the
+	// history and the other paths.
+	let _branches = [];
+	let _branchId = 0;
+
 	// (optional) Seedable PRNG object.
 	let _prng = null;
 
+	// Named PRNG sub-streams, name → PRNG object.  The objects are kept for the whole session, so that
+	// references held by story code stay valid—only their seeds and pulls are restored.
+	const _prngStreams = new Map();
+
+	// Unseeded PRNG object, used by the distribution helpers while the seedable PRNG is disabled.
+	let _prngUnseeded = null;
+
 	// Temporary variables object.
 	let _tempVariables = {};
 
+	// Serialized length of the smallest session state which did not fit within the session store, or `null`
+	// if none has failed since one that large last fit.  Lets later writes pick a depth which fits up front.
+	let _sessionLimit = null;
+
+	// Serialized length of the last session state written per byte of its estimated moment sizes—i.e., what
+	// the state's other properties and compression add to, or take off, the estimate.
+	let _sessionRatio = 1;
+
+	// Variable watchers, as `{ name, callback, value }` objects, where `value` is a clone of the last
+	// known value of the variable.
+	const _watchers = [];
+	let _watchChecking = false;
+
 	let _qc = 1;
 	let _qchandlers = [];
 
@@ -42,9 +73,10 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		if (DEBUG) { console.log('[State/stateReset()]'); }
 
 		/*
-			Delete the active session.
+			Delete the active session, and let the next one find its own depth.
 		*/
 		session.delete('state');
+		_sessionLimit = null;
 
 		/*
 			Reset the properties.
@@ -53,8 +85,15 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		_active      = momentCreate();
 		_activeIndex = -1;
 		_expired     = [];
-		_prng        = _prng === null ? null : new PRNG(_prng.seed);
+		_branches    = [];
+		_prng        = _prng === null ? null : new PRNG(_prng.seed, 0, _prng.seedVersion);
 		_qc          = true;
+
+		_historyBytes = null;
+
+		if (_prng !== null) {
+			prngStreamsRestore();
+		}
 	}
 
 	/*
@@ -70,7 +109,7 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 			/*
 				Retrieve the session.
 			*/
-			const stateObj = session.get('state');
+			const stateObj = sessionStateRead();
 
 			if (DEBUG) { console.log('\tsession state:', stateObj); }
 
@@ -82,6 +121,16 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 				Restore the session.
 			*/
 			stateUnmarshal(stateObj);
+
+			/*
+				Let the story know how many moments survived, as the session may have had to drop some.
+			*/
+			jQuery.event.trigger({
+				type      : ':sessionrestore',
+				depth     : historySize(),
+				requested : stateObj.requested || historySize()
+			});
+
 			return true;
 		}
 
@@ -96,24 +145,33 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		return false;
 	}
 
-	function reduceHistorySize(stateObj, targetSize) {
-		if (!targetSize) return;
-		// pick up which frames to preserve, aiming at preserving the frames both before and after the active one
-		const currentIndex = stateObj.index;
-		const currentHistoryLength = stateObj.history.length;
-		targetSize = Math.min(currentHistoryLength, targetSize);
+	/**
+	 * picks which frames to preserve when reducing the history, aiming at the frames both before and after the
+	 * active one
+	 *
+	 * @param {number} currentHistoryLength
+	 * @param {number} currentIndex active frame
+	 * @param {number} targetSize how many frames to preserve
+	 * @returns {number} index of the first preserved frame
+	 */
+	function historyWindowStart(currentHistoryLength, currentIndex, targetSize) {
 		const invertedIndex = currentHistoryLength - 1 - currentIndex;
-		let startingIndex = 0;
 		const radius = Math.floor(targetSize / 2); // how many frames can we cover on both sides from active frame
 
 		if (currentIndex < invertedIndex) { // active index is closer to the beginning of the array [* i * * * *]
-			if (radius >= currentIndex) startingIndex = 0; // there's enough space to include the oldest frame [(* i *) * * *]
-			else startingIndex = currentIndex - radius; // starting index will extend into the past as much as the radius can allow [* (* i *) * *]
-		}
-		else { // active index is closer to the end of the array [* * * * i *]
-			if (radius >= invertedIndex) startingIndex = currentHistoryLength - targetSize; // enough space to include the newest frame [* * * (* i *)]
-			else startingIndex = currentIndex - radius; // [* * (* i *) *]
+			if (radius >= currentIndex) return 0; // there's enough space to include the oldest frame [(* i *) * * *]
+			return currentIndex - radius; // starting index will extend into the past as much as the radius can allow [* (* i *) * *]
 		}
+		// active index is closer to the end of the array [* * * * i *]
+		if (radius >= invertedIndex) return currentHistoryLength - targetSize; // enough space to include the newest frame [* * * (* i *)]
+		return currentIndex - radius; // [* * (* i *) *]
+	}
+
+	function reduceHistorySize(stateObj, targetSize) {
+		if (!targetSize) return;
+		const currentHistoryLength = stateObj.history.length;
+		targetSize = Math.min(currentHistoryLength, targetSize);
+		const startingIndex = historyWindowStart(currentHistoryLength, stateObj.index, targetSize);
 		stateObj.index -= startingIndex; // correct the index
 		stateObj.history.slice(0, startingIndex).forEach(m => stateObj.expired.push(m.title)); // expire removed history
 		stateObj.history = stateObj.history.slice(startingIndex, startingIndex + targetSize);
@@ -131,17 +189,28 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		*/
 		const stateObj = {
 			index   : _activeIndex,
-			history : useClone ? clone(_history) : _history
+			history : useClone ? clone(_history) : _history,
+			expired : [..._expired]
 		};
 
 		if (_history.length > depth) reduceHistorySize(stateObj, depth);
+
+		const branches = branchesMarshal(_activeIndex - stateObj.index, stateObj.history.length, noDelta, useClone);
+
+		if (branches.length > 0) {
+			stateObj.branches = branches;
+		}
+
 		if (!noDelta) {
 			stateObj.delta = historyDeltaEncode(stateObj.history);
 			delete stateObj.history;
 		}
 
-		if (_expired.length > 0) stateObj.expired = [..._expired];
-		if (_prng !== null && _prng.hasOwnProperty('seed')) stateObj.seed = _prng.seed;
+		if (stateObj.expired.length === 0) delete stateObj.expired;
+		if (_prng !== null && _prng.hasOwnProperty('seed')) {
+			stateObj.seed = _prng.seed;
+			stateObj.seedVersion = _prng.seedVersion;
+		}
 
 		return stateObj;
 	}
@@ -164,7 +233,9 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		_history     = hasHistory ? clone(stateObj.history) : historyDeltaDecode(stateObj.delta);
 		_activeIndex = stateObj.index;
 		_expired     = stateObj.hasOwnProperty('expired') ? [...stateObj.expired] : [];
+		_branches    = stateObj.hasOwnProperty('branches') ? branchesUnmarshal(stateObj.branches) : [];
 		_qc          = stateObj.idx;
+		_historyBytes = null;
 		// eslint-disable-next-line
 		if (_qc != 1) { _qc = 1; if (_qchandlers.length === 0 || !_qchandlers.every(h => h(_history))) _qc += ''; }
 
@@ -174,6 +245,8 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 				fully restoring the PRNG to its proper state.
 			*/
 			_prng.seed = stateObj.seed;
+			// states from before seed versions were introduced used the first one
+			_prng.seedVersion = stateObj.seedVersion || 1;
 		}
 
 		/*
@@ -193,7 +266,13 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		Restores the story state from a marshaled save-compatible story state serialization object.
 	*/
 	function stateUnmarshalForSave(stateObj, type) {
-		return stateUnmarshal(stateObj, type);
+		const result = stateUnmarshal(stateObj, type);
+
+		// Give variables added since the save was made their defaults, then report what's still amiss.
+		Schema.applyDefaults();
+		Schema.check('load');
+
+		return result;
 	}
 
 	/*
@@ -241,7 +320,7 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	function getSessionState() {
 		if (Config.history.maxSessionStates === 0) return;
 
-		const sessionState = session.get('state');
+		const sessionState = sessionStateRead();
 		if (sessionState?.hasOwnProperty('delta')) {
 			sessionState.history = State.deltaDecode(sessionState.delta);
 			delete sessionState.delta;
@@ -250,39 +329,126 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 	/**
-	 * Tries saving sessionState into sessionStorage until it fits the quota.
+	 * Saves sessionState into sessionStorage, keeping as many moments as fit the quota, see sessionStateWrite.
 	 * sessionState must have history property.
 	 *
 	 * @param {object} sessionState decoded session state
+	 * @returns {boolean} whether any of it was saved
 	 */
 	function setSessionState(sessionState) {
 		if (!sessionState || !sessionState.history) throw new Error('setSessionState error: not a valid sessionState object');
-		let pass = false;
-		let sstates = Config.history.maxSessionStates;
-		if (sstates === 0) return pass;
 
-		try {
-			// if history is bigger than session states limit, reduce the history to match
-			if (sessionState.history.length > sstates) reduceHistorySize(sessionState, sstates);
-			if (sstates) session.set('state', sessionState); // don't do session writes if sstates is 0, NaN, undefined, etc.
-			pass = true;
-		}
-		catch (ex) {
-			console.log('session.set failed, recovering');
-			if (sstates > sessionState.history.length) sstates = sessionState.length;
-			while (sstates && !pass) {
-				try {
-					sstates--;
-					reduceHistorySize(sessionState, sstates);
-					session.set('state', sessionState);
-					pass = true;
+		return sessionStateWrite(sessionState.history, sessionState.index, depth => {
+			const stateObj = Object.assign({}, sessionState, { expired : [...sessionState.expired || []] });
+			if (stateObj.history.length > depth) reduceHistorySize(stateObj, depth);
+			stateObj.delta = historyDeltaEncode(stateObj.history);
+			delete stateObj.history;
+			return stateObj;
+		}) > 0;
+	}
+
+	/**
+	 * @returns {object} session state as stored, i.e. delta encoded, or null if there is none
+	 */
+	function sessionStateRead() {
+		const stored = session.get('state');
+		// compressed states are wrapped, see sessionStateWrite
+		if (stored != null && typeof stored.lz === 'string') return JSON.parse(LZString.decompressFromUTF16(stored.lz)); // lazy equality for null
+		return stored;
+	}
+
+	/**
+	 * Writes the session state, keeping as many moments as fit the quota, without stalling the tab on huge states.
+	 * Each moment is sized as it's stored—whole if it starts the window or is a keyframe, as a delta otherwise—and
+	 * the depth is picked from those sizes, so only an estimate that misses the quota costs another write.
+	 * Triggers a `:sessionsave` event with `depth`, `requested` and `compressed` properties afterwards.
+	 *
+	 * @param {Array} history moments to save
+	 * @param {number} index of the active moment
+	 * @param {Function} build returns the state object to store for a given depth
+	 * @returns {number} how many moments were saved
+	 */
+	function sessionStateWrite(history, index, build) {
+		const requested = Math.min(Config.history.maxSessionStates, history.length);
+		if (!requested) return 0;
+
+		const compressed = Config.history.sessionCompression;
+		const interval = Config.history.keyframeInterval;
+
+		// stored sizes of the moments, measured as the windows need them
+		const whole = [];
+		const deltas = [];
+		const estimate = depth => {
+			const start = historyWindowStart(history.length, index, depth);
+			let bytes = 0;
+
+			for (let i = 0; i < depth; ++i) {
+				const at = start + i;
+
+				if (i === 0 || interval > 0 && i % interval === 0) {
+					if (whole[at] === undefined) whole[at] = momentBytes(history[at]);
+					bytes += whole[at];
 				}
-				catch (ex) {
-					continue;
+				else {
+					if (deltas[at] === undefined) {
+						deltas[at] = JSON.stringify(Diff.diff(history[at - 1], history[at])).length;
+					}
+
+					bytes += deltas[at];
 				}
 			}
+
+			return bytes;
+		};
+
+		// the deepest history up to the given depth which should be smaller than what failed before
+		const pick = upTo => {
+			let depth = upTo;
+			while (_sessionLimit !== null && depth > 1 && estimate(depth) * _sessionRatio >= _sessionLimit) --depth;
+			return depth;
+		};
+
+		const tryWrite = depth => {
+			const stateObj = build(depth);
+			stateObj.requested = requested;
+			const stored = compressed ? { lz : LZString.compressToUTF16(JSON.stringify(stateObj)) } : stateObj;
+			const length = compressed ? stored.lz.length : JSON.stringify(stored).length;
+			_sessionRatio = length / estimate(depth);
+
+			try {
+				session.set('state', stored);
+
+				// something at least as large fits now, so the limit grows back
+				if (_sessionLimit !== null && length >= _sessionLimit) _sessionLimit = null;
+
+				return true;
+			}
+			catch (ex) {
+				if (DEBUG) { console.log(`\tsession.set failed at depth ${depth}`, ex); }
+				_sessionLimit = _sessionLimit === null ? length : Math.min(_sessionLimit, length);
+				return false;
+			}
+		};
+
+		// largest depth known to fit, and smallest known not to.  once the limit is known, the first pick fits and
+		// that's the only write; until then, misses are halved, so finding it takes a handful of writes at most.
+		// failed writes leave the store alone, so it always holds the depth that fits.
+		let fits = 0;
+		let fails = requested + 1;
+		let candidate = pick(requested);
+
+		while (candidate > fits) {
+			if (tryWrite(candidate)) fits = candidate;
+			else fails = candidate;
+			candidate = Math.min(pick(fails - 1), Math.floor((fits + fails) / 2));
 		}
-		return pass;
+
+		// a stale state is worse than none
+		if (fits === 0) session.delete('state');
+		else if (fits < requested) console.warn(`session state reduced to ${fits} of ${requested} moments to fit the quota`);
+
+		jQuery.event.trigger({ type : ':sessionsave', depth : fits, requested, compressed });
+		return fits;
 	}
 
 
@@ -365,7 +531,8 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 			Restore the seedable PRNG.
 		*/
 		if (_prng !== null) {
-			_prng = new PRNG(_prng.seed, _active.pull);
+			_prng = new PRNG(_prng.seed, _active.pull, _prng.seedVersion);
+			prngStreamsRestore(_active.pulls);
 		}
 
 		/*
@@ -382,22 +549,12 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	function updateSession() {
 		/*
 			Update the active session.
-			todo: refactor it all and move to using setSessionState?
 		*/
-		let pass = false;
-		let depth = Math.min(Config.history.maxSessionStates, State.history.length);
-		while (depth > 0 && !pass) {
-			try {
-				const state = stateMarshal(false, depth);
-				state.idx = State.qc;
-				session.set('state', state);
-				pass = true;
-			}
-			catch { // depth is too high to fit sessionStorage
-				console.log('session.set error, reducing maxSessionStates');
-				depth--;
-			}
-		}
+		sessionStateWrite(_history, _activeIndex, depth => {
+			const state = stateMarshal(false, depth);
+			state.idx = State.qc;
+			return state;
+		});
 	}
 	// save game state to load it back after f5
 	window.addEventListener('beforeunload', updateSession);
@@ -514,9 +671,19 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 			If we're not at the top of the stack, discard the future moments.
 		*/
 		if (historyLength() < historySize()) {
-			if (DEBUG) { console.log(`\tnon-top push; discarding ${historySize() - historyLength()} future moments`); }
+			if (Config.history.branching && Config.history.maxBranches > 0) {
+				if (DEBUG) { console.log(`\tnon-top push; branching off ${historySize() - historyLength()} future moments`); }
+
+				branchesAdd(_history);
+				_history = _history.slice(0, historyLength());
+			}
+			else {
+				if (DEBUG) { console.log(`\tnon-top push; discarding ${historySize() - historyLength()} future moments`); }
+
+				_history.splice(historyLength(), historySize() - historyLength());
+			}
 
-			_history.splice(historyLength(), historySize() - historyLength());
+			_historyBytes = null;
 		}
 
 		/*
@@ -527,17 +694,43 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		if (_prng) {
 			const top = historyTop();
 			top.pull = _prng.pull;
+
+			const pulls = prngStreamsPulls();
+
+			if (pulls) {
+				top.pulls = pulls;
+			}
+		}
+
+		// The new moment is complete now, so its size may be cached and added to the total.
+		if (_historyBytes !== null) {
+			_historyBytes += momentBytes(historyTop());
 		}
 
 		/*
-			Truncate the history, if necessary, by discarding moments from the bottom.
+			Truncate the history, if necessary, by discarding moments from the bottom—either until it
+			fits within the memory budget, if one is set, or down to the maximum number of moments.
 		*/
-		while (historySize() > Config.history.maxStates) {
-			if (Config.history.maxExpired === 0) _history.shift();
-			else {
-				_expired.push(_history.shift().title);
+		const maxBytes = Config.history.maxBytes;
+		const overBudget = () => maxBytes > 0
+			? historyBytes() > maxBytes && historySize() > 1
+			: historySize() > Config.history.maxStates;
+
+		while (overBudget()) {
+			const moment = _history.shift();
+
+			if (_historyBytes !== null) {
+				_historyBytes -= momentBytes(moment);
+			}
+
+			if (Config.history.maxExpired !== 0) {
+				_expired.push(moment.title);
 			}
 			while (_expired.length > Config.history.maxExpired) _expired.shift();
+
+			if (_branches.length > 0) {
+				branchesExpire();
+			}
 		}
 
 		/*
@@ -570,6 +763,151 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		return true;
 	}
 
+	/*
+		Returns summaries of the branches of the history tree, other than the active one—i.e.,
+		their IDs, where they diverge from the active branch, and the titles of their moments.
+	*/
+	function historyBranches() {
+		return _branches.map(branch => {
+			const base = branchBase(branch.path);
+
+			return {
+				id       : branch.id,
+				base,
+				size     : branch.path.length,
+				passages : branch.path.slice(base).map(moment => moment.title)
+			};
+		});
+	}
+
+	/*
+		Switches to the branch with the given ID, activating the moment at the given index within
+		it, or its last moment.  The previously active branch becomes a branch in turn.
+	*/
+	function historySwitchBranch(id, index) {
+		if (DEBUG) { console.log(`[State/historySwitchBranch(id: ${id}, index: ${index})]`); }
+
+		const branch = _branches.find(branch => branch.id === id);
+
+		if (!branch) {
+			return false;
+		}
+
+		const target = index == null ? branch.path.length - 1 : index; // lazy equality for null
+
+		if (!Number.isSafeInteger(target) || target < 0 || target >= branch.path.length) {
+			throw new RangeError(`branch switch attempted with out-of-bounds index; need [0, ${branch.path.length - 1}], got ${target}`);
+		}
+
+		_branches.splice(_branches.indexOf(branch), 1);
+
+		// Keep the active branch, unless the one we're switching to contains all of it.
+		if (branchBase(branch.path) < historySize()) {
+			branchesAdd(_history);
+		}
+
+		_history     = branch.path;
+		_activeIndex = target;
+		_historyBytes = null;
+		momentActivate(_activeIndex);
+
+		return true;
+	}
+
+	/*
+		Adds the given history array as a branch, discarding the oldest branches beyond the limit.
+	*/
+	function branchesAdd(path) {
+		_branches.push({ id : ++_branchId, path });
+
+		while (_branches.length > Config.history.maxBranches) {
+			_branches.shift();
+		}
+	}
+
+	/*
+		Returns the number of moments the given branch path shares with the active branch.
+	*/
+	function branchBase(path) {
+		let base = 0;
+
+		while (base < path.length && base < _history.length && path[base] === _history[base]) {
+			++base;
+		}
+
+		return base;
+	}
+
+	/*
+		Expires the oldest moment of every branch, after the history has expired its own, dropping
+		the branches which diverged at that moment.
+	*/
+	function branchesExpire() {
+		_branches = _branches.filter(branch => branch.path.length > 1 && branch.path[1] === _history[0]);
+		_branches.forEach(branch => {
+			branch.path = branch.path.slice(1); // eslint-disable-line no-param-reassign
+		});
+	}
+
+	/*
+		Returns the newest branches, up to `Config.history.maxSavedBranches`, marshaled relative to
+		the active branch, which has been reduced to the given number of moments starting at the
+		given offset.  Branches which diverged before the offset are left out.
+	*/
+	function branchesMarshal(offset, size, noDelta, useClone) {
+		if (!Config.history.branching || Config.history.maxSavedBranches === 0) {
+			return [];
+		}
+
+		return _branches
+			.slice(-Config.history.maxSavedBranches)
+			.map(branch => {
+				const base = Math.min(branchBase(branch.path), offset + size) - offset;
+
+				if (base < 1) {
+					return null;
+				}
+
+				const moments = branch.path.slice(offset + base);
+				const history = useClone ? clone(moments) : moments;
+
+				return noDelta ? { base, history } : { base, delta : historyDeltaEncode(history) };
+			})
+			.filter(branch => branch !== null);
+	}
+
+	/*
+		Returns branches restored from the given marshaled branches, relative to the restored
+		history.  Undecodable branches are skipped.
+	*/
+	function branchesUnmarshal(branches) {
+		if (!Array.isArray(branches)) {
+			return [];
+		}
+
+		return branches
+			.map(branch => {
+				try {
+					if (!Number.isSafeInteger(branch.base) || branch.base < 1 || branch.base > _history.length) {
+						throw new RangeError(`invalid base ${branch.base}`);
+					}
+
+					const moments = branch.history ? clone(branch.history) : historyDeltaDecode(branch.delta);
+
+					if (!Array.isArray(moments) || moments.length === 0) {
+						throw new Error('no moments');
+					}
+
+					return { id : ++_branchId, path : _history.slice(0, branch.base).concat(moments) };
+				}
+				catch (ex) {
+					console.warn('skipping damaged history branch', ex);
+					return null;
+				}
+			})
+			.filter(branch => branch !== null);
+	}
+
 	/*
 		Activate the moment at the given offset from the active moment within the history.
 	*/
@@ -583,8 +921,49 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		return historyGoTo(_activeIndex + offset);
 	}
 
+	/*
+		Returns the approximate size of the history, in bytes.  Kept as a running total, which is only
+		added up again from the cached moment sizes after the history has been replaced.
+	*/
+	function historyBytes() {
+		if (_historyBytes === null) {
+			_historyBytes = _history.reduce((bytes, moment) => bytes + momentBytes(moment), 0);
+		}
+
+		return _historyBytes;
+	}
+
+	/*
+		Forgets the cached sizes of the history's moments, so they're measured again when next needed.
+
+		NOTE: Must be called after moments in the history have been modified in place—e.g., variables
+		set on every moment when saving.
+	*/
+	function historyMeasure() {
+		_history.forEach(moment => _momentBytes.delete(moment));
+		_historyBytes = null;
+	}
+
+	/*
+		Returns the approximate size of the given moment, in bytes—i.e., its serialized length.
+
+		NOTE: Sizes are cached, so moments must be complete—e.g., have their PRNG pulls set—before
+		they're first measured.  See `historyMeasure()` for moments modified afterwards.
+	*/
+	function momentBytes(moment) {
+		if (!_momentBytes.has(moment)) {
+			_momentBytes.set(moment, JSON.stringify(moment).length);
+		}
+
+		return _momentBytes.get(moment);
+	}
+
 	/*
 		Returns the delta encoded form of the given history array.
+
+		Every `Config.history.keyframeInterval`-th moment is stored whole, as a keyframe—i.e.,
+		`{ keyframe : moment }`—rather than as a delta, so that decoding any one moment only has
+		to replay the deltas since the closest keyframe.
 	*/
 	function historyDeltaEncode(historyArr) {
 		if (!Array.isArray(historyArr)) {
@@ -599,13 +978,35 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		// const delta = [clone(historyArr[0])];
 		const delta = [historyArr[0]];
 
+		const interval = Config.history.keyframeInterval;
+
 		for (let i = 1, iend = historyArr.length; i < iend; ++i) {
-			delta.push(Diff.diff(historyArr[i - 1], historyArr[i]));
+			if (interval > 0 && i % interval === 0) {
+				delta.push({ keyframe : historyArr[i] });
+			}
+			else {
+				delta.push(Diff.diff(historyArr[i - 1], historyArr[i]));
+			}
 		}
 
 		return delta;
 	}
 
+	/*
+		Returns whether the given delta encoded history entry is a keyframe.
+	*/
+	function historyDeltaIsKeyframe(entry) {
+		return entry != null && typeof entry === 'object' && Object.hasOwn(entry, 'keyframe'); // lazy equality for null
+	}
+
+	/*
+		Returns the moment decoded from the given delta encoded history entry and the moment
+		preceding it.
+	*/
+	function historyDeltaPatch(previous, entry) {
+		return historyDeltaIsKeyframe(entry) ? clone(entry.keyframe) : Diff.patch(previous, entry);
+	}
+
 	/*
 		Returns a history array from the given delta encoded history array.
 	*/
@@ -621,7 +1022,7 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		const historyArr = [clone(delta[0])];
 
 		for (let i = 1, iend = delta.length; i < iend; ++i) {
-			historyArr.push(Diff.patch(historyArr[i - 1], delta[i]));
+			historyArr.push(historyDeltaPatch(historyArr[i - 1], delta[i]));
 		}
 
 		return historyArr;
@@ -650,6 +1051,8 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		/* Regenerate the PRNG object, then assign the state to the active moment. */
 		_prng = new PRNG(seed);
 		_active.pull = _prng.pull;
+		delete _active.pulls;
+		prngStreamsRestore();
 	}
 
 	function prngIsEnabled() {
@@ -664,6 +1067,10 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		return _prng ? _prng.seed : null;
 	}
 
+	function prngSeedVersion() {
+		return _prng ? _prng.seedVersion : null;
+	}
+
 	function prngPeek(count) {
 		return _prng.peek(count);
 	}
@@ -682,6 +1089,106 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		return _prng ? _prng.random(args) : Math.random();
 	}
 
+	/*
+		Returns the PRNG object which the distribution helpers should use—i.e., the seedable PRNG,
+		if enabled, elsewise an unseeded one, so that they remain peekable either way.
+	*/
+	function prngGenerator() {
+		if (_prng !== null) {
+			return _prng;
+		}
+
+		if (_prngUnseeded === null) {
+			_prngUnseeded = new PRNG();
+		}
+
+		return _prngUnseeded;
+	}
+
+	function prngWeighted(table, peek) {
+		return prngGenerator().weighted(table, peek);
+	}
+
+	function prngNormal(mean, deviation, peek) {
+		return prngGenerator().normal(mean, deviation, peek);
+	}
+
+	function prngTriangular(min, max, mode, peek) {
+		return prngGenerator().triangular(min, max, mode, peek);
+	}
+
+	function prngSample(array, count, peek) {
+		return prngGenerator().sample(array, count, peek);
+	}
+
+	function prngDice(expression, peek) {
+		return prngGenerator().dice(expression, peek);
+	}
+
+	/*
+		Returns the named PRNG sub-stream, creating it if necessary.  Each stream has its own
+		seed, derived from the master seed and its name, and its own pull, which is recorded
+		within each moment—so rolls on one stream never change the outcomes of another.
+	*/
+	function prngStream(name) {
+		if (DEBUG) { console.log(`[State/prngStream(name: "${name}")]`); }
+
+		if (typeof name !== 'string' || name.trim() === '') {
+			throw new TypeError(`State.prng.stream name parameter must be a non-empty string; got ${JSON.stringify(name)}`);
+		}
+
+		if (_prng === null) {
+			throw new Error('State.prng.stream requires the seedable PRNG, which must be enabled via State.prng.init');
+		}
+
+		if (!_prngStreams.has(name)) {
+			const pulls = _active.pulls;
+			_prngStreams.set(name, _prng.stream(name, pulls && pulls[name]));
+		}
+
+		return _prngStreams.get(name);
+	}
+
+	/*
+		Returns the pulls of all named PRNG sub-streams which have been used, keyed by name.
+	*/
+	function prngStreams() {
+		return prngStreamsPulls() || {};
+	}
+
+	/*
+		Returns the pulls of all named PRNG sub-streams which have been used, or `null` if
+		none have been.
+	*/
+	function prngStreamsPulls() {
+		let pulls = null;
+
+		_prngStreams.forEach((stream, name) => {
+			if (stream.pull !== 0) {
+				if (pulls === null) {
+					pulls = {};
+				}
+
+				pulls[name] = stream.pull;
+			}
+		});
+
+		return pulls;
+	}
+
+	/*
+		Reseeds the named PRNG sub-streams from the master seed and restores their pulls from
+		the given moment pulls object, resetting those without a recorded pull.
+	*/
+	function prngStreamsRestore(pulls) {
+		_prngStreams.forEach((stream, name) => {
+			/* eslint-disable no-param-reassign */
+			stream.seed = _prng.streamSeed(name);
+			stream.pull = Number(pulls && pulls[name]) || 0;
+			/* eslint-enable no-param-reassign */
+		});
+	}
+
 
 	/*******************************************************************************************************************
 		Temporary Variables Functions.
@@ -726,6 +1233,7 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	function variableSet(varExpression, value) {
 		try {
 			Scripting.evalTwineScript(`${varExpression} = evalTwineScript$Data$`, null, value);
+			watchCheck();
 			return true;
 		}
 		catch (ex) { /* no-op */ }
@@ -734,81 +1242,407 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 	}
 
 
+	/*******************************************************************************************************************
+		Variable Watch Functions.
+	*******************************************************************************************************************/
+	/*
+		Registers a watcher for the given story/temporary variable expression—e.g., `$health` or
+		`$player.stats.health`—which is called as `callback(newValue, oldValue, info)` whenever its
+		value changes.  `info` is an object of the form `{ name, passage, macro }`, where `passage`
+		and `macro` are the passage and macro responsible, when known.  Returns a function which
+		removes the watcher.
+
+		In debug mode every change of a watched variable is logged to the console, and the callback
+		may be omitted to only log.
+
+		NOTE: Writes are not intercepted, rather watched values are compared after every macro call,
+		`State.setVar()` call, and passage render—so a change by direct script is attributed to the
+		enclosing macro (e.g., `<<run>>` or `<<script>>`), or to the passage for code outside of one.
+	*/
+	function watchAdd(name, callback) {
+		if (typeof name !== 'string' || !/^[$_]/.test(name.trim())) {
+			throw new TypeError(`State.watch name parameter must be a story or temporary variable (received: ${name})`);
+		}
+
+		if (callback == null) { // lazy equality for null
+			if (!Config.debug) {
+				throw new Error('State.watch callback parameter may only be omitted in debug mode');
+			}
+		}
+		else if (typeof callback !== 'function') {
+			throw new TypeError(`State.watch callback parameter must be a function (received: ${typeof callback})`);
+		}
+
+		const watcher = {
+			name     : name.trim(),
+			callback : callback || null,
+			value    : clone(variableGet(name))
+		};
+
+		_watchers.push(watcher);
+
+		return () => _watchers.delete(watcher);
+	}
+
+	/*
+		Removes the watchers for the given variable expression—only those using the given callback,
+		if specified.
+	*/
+	function watchDelete(name, callback) {
+		if (typeof name !== 'string') {
+			throw new TypeError(`State.unwatch name parameter must be a string (received: ${typeof name})`);
+		}
+
+		_watchers
+			.filter(watcher => watcher.name === name.trim() && (callback == null || watcher.callback === callback)) // lazy equality for null
+			.forEach(watcher => _watchers.delete(watcher));
+	}
+
+	/*
+		Returns the names of the watched variables.
+	*/
+	function watchNames() {
+		return [...new Set(_watchers.map(watcher => watcher.name))];
+	}
+
+	/*
+		Compares the watched variables with their last known values, calling the watchers of those
+		which changed.  `source` is an object of the form `{ passage, macro }`, describing what ran
+		since the last check—the active passage is assumed if it is omitted.
+	*/
+	function watchCheck(source) {
+		// Changes made by the watchers themselves are picked up by the next check.
+		if (_watchers.length === 0 || _watchChecking) {
+			return;
+		}
+
+		const passage = source && source.passage || momentActiveTitle();
+		const macro   = source && source.macro || null;
+		const changed = [];
+
+		_watchChecking = true;
+
+		try {
+			_watchers.forEach(watcher => {
+				const value = variableGet(watcher.name);
+
+				if (
+					value === watcher.value
+					|| Diff.diff({ value : watcher.value }, { value }) === null
+				) {
+					return;
+				}
+
+				changed.push({ watcher, oldValue : watcher.value, newValue : value });
+				watcher.value = clone(value); // eslint-disable-line no-param-reassign
+			});
+
+			changed.forEach(({ watcher, oldValue, newValue }) => {
+				const info = { name : watcher.name, passage, macro };
+
+				if (Config.debug) {
+					console.log(
+						`[State.watch] ${watcher.name} changed${macro ? ` by <<${macro}>>` : ''} in passage "${passage}":`,
+						oldValue,
+						'→',
+						newValue
+					);
+				}
+
+				if (watcher.callback) {
+					try {
+						watcher.callback(newValue, oldValue, info);
+					}
+					catch (ex) {
+						console.error(`State.watch callback for ${watcher.name} threw an error:`, ex);
+					}
+				}
+			});
+		}
+		finally {
+			_watchChecking = false;
+		}
+	}
+
+
 	/*******************************************************************************************************************
 		Story Metadata Functions.
 	*******************************************************************************************************************/
 	const _METADATA_STORE = 'metadata';
 
-	function metadataClear() {
-		storage.delete(_METADATA_STORE);
+	// Expiry times of metadata entries, as Unix epoch milliseconds, are kept in stores of their own,
+	// so that metadata stores written before expiry existed stay valid.
+	const _METADATA_EXPIRY = 'metadataExpiry';
+
+	// Size limits of the metadata stores, store key → `{ entries, bytes }`.  Limits are not persisted,
+	// rather they're set by the story's JavaScript on each load.
+	const _metadataLimits = new Map();
+
+	// Metadata namespace objects, namespace name → object.
+	const _metadataNamespaces = new Map();
+
+	/*
+		Returns the given metadata store and its expiry store, sans any expired entries.
+	*/
+	function metadataRead(storeKey) {
+		const store   = storage.get(storeKey) || {};
+		const expiry  = storage.get(metadataExpiryKey(storeKey)) || {};
+		const now     = Date.now();
+		const expired = Object.keys(expiry).filter(key => expiry[key] <= now || !store.hasOwnProperty(key));
+
+		if (expired.length > 0) {
+			expired.forEach(key => {
+				delete store[key];
+				delete expiry[key];
+			});
+			metadataWrite(storeKey, store, expiry);
+		}
+
+		return { store, expiry };
+	}
+
+	function metadataWrite(storeKey, store, expiry) {
+		const expiryKey = metadataExpiryKey(storeKey);
+
+		if (Object.keys(store).length === 0) {
+			storage.delete(storeKey);
+		}
+		else {
+			storage.set(storeKey, store);
+		}
+
+		if (Object.keys(expiry).length === 0) {
+			storage.delete(expiryKey);
+		}
+		else {
+			storage.set(expiryKey, expiry);
+		}
+	}
+
+	function metadataExpiryKey(storeKey) {
+		return `${_METADATA_EXPIRY}${storeKey.slice(_METADATA_STORE.length)}`;
+	}
+
+	function metadataClear(storeKey) {
+		storage.delete(storeKey);
+		storage.delete(metadataExpiryKey(storeKey));
 	}
 
-	function metadataDelete(key) {
+	function metadataDelete(storeKey, api, key) {
 		if (typeof key !== 'string') {
-			throw new TypeError(`State.metadata.delete key parameter must be a string (received: ${typeof key})`);
+			throw new TypeError(`${api}.delete key parameter must be a string (received: ${typeof key})`);
 		}
 
-		const store = storage.get(_METADATA_STORE);
+		const { store, expiry } = metadataRead(storeKey);
 
-		if (store && store.hasOwnProperty(key)) {
-			if (Object.keys(store).length === 1) {
-				storage.delete(_METADATA_STORE);
-			}
-			else {
-				delete store[key];
-				storage.set(_METADATA_STORE, store);
-			}
+		if (store.hasOwnProperty(key)) {
+			delete store[key];
+			delete expiry[key];
+			metadataWrite(storeKey, store, expiry);
 		}
 	}
 
-	function metadataEntries() {
-		const store = storage.get(_METADATA_STORE);
-		return store && Object.entries(store);
+	function metadataEntries(storeKey) {
+		const { store } = metadataRead(storeKey);
+
+		// Empty stores are removed, so return what the storage does for a missing one, as before.
+		return Object.keys(store).length > 0 ? Object.entries(store) : storage.get(storeKey);
 	}
 
-	function metadataGet(key) {
+	/*
+		Returns the expiry time of the given entry, as Unix epoch milliseconds, or `null` if it never
+		expires or does not exist.
+	*/
+	function metadataExpires(storeKey, api, key) {
+		if (typeof key !== 'string') {
+			throw new TypeError(`${api}.expires key parameter must be a string (received: ${typeof key})`);
+		}
+
+		const { expiry } = metadataRead(storeKey);
+		return expiry.hasOwnProperty(key) ? expiry[key] : null;
+	}
+
+	function metadataGet(storeKey, api, key) {
 		if (typeof key !== 'string') {
-			throw new TypeError(`State.metadata.get key parameter must be a string (received: ${typeof key})`);
+			throw new TypeError(`${api}.get key parameter must be a string (received: ${typeof key})`);
 		}
 
-		const store = storage.get(_METADATA_STORE);
-		return store && store.hasOwnProperty(key) ? store[key] : undefined;
+		const { store } = metadataRead(storeKey);
+		return store.hasOwnProperty(key) ? store[key] : undefined;
 	}
 
-	function metadataHas(key) {
+	function metadataHas(storeKey, api, key) {
 		if (typeof key !== 'string') {
-			throw new TypeError(`State.metadata.has key parameter must be a string (received: ${typeof key})`);
+			throw new TypeError(`${api}.has key parameter must be a string (received: ${typeof key})`);
 		}
 
-		const store = storage.get(_METADATA_STORE);
-		return store && store.hasOwnProperty(key);
+		const { store } = metadataRead(storeKey);
+		return store.hasOwnProperty(key);
 	}
 
-	function metadataKeys() {
-		const store = storage.get(_METADATA_STORE);
-		return store && Object.keys(store);
+	function metadataKeys(storeKey) {
+		const { store } = metadataRead(storeKey);
+
+		// Empty stores are removed, so return what the storage does for a missing one, as before.
+		return Object.keys(store).length > 0 ? Object.keys(store) : storage.get(storeKey);
 	}
 
-	function metadataSet(key, value) {
+	/*
+		Sets the given entry.  The options object may specify when the entry expires, either as a time
+		to live in milliseconds (`ttl`) or as a `Date` or Unix epoch milliseconds (`expires`).  Throws
+		if the store would exceed its size limits.
+	*/
+	function metadataSet(storeKey, api, key, value, options) {
 		if (typeof key !== 'string') {
-			throw new TypeError(`State.metadata.set key parameter must be a string (received: ${typeof key})`);
+			throw new TypeError(`${api}.set key parameter must be a string (received: ${typeof key})`);
 		}
 
 		if (typeof value === 'undefined') {
-			metadataDelete(key);
+			metadataDelete(storeKey, api, key);
+			return;
+		}
+
+		let expires = null;
+
+		if (options != null) { // lazy equality for null
+			if (typeof options !== 'object') {
+				throw new TypeError(`${api}.set options parameter must be an object (received: ${typeof options})`);
+			}
+
+			if (options.hasOwnProperty('ttl')) {
+				if (!Number.isFinite(options.ttl) || options.ttl <= 0) {
+					throw new RangeError(`${api}.set options.ttl must be a positive number of milliseconds (received: ${options.ttl})`);
+				}
+
+				expires = Date.now() + options.ttl;
+			}
+			else if (options.hasOwnProperty('expires')) {
+				expires = options.expires instanceof Date ? options.expires.getTime() : options.expires;
+
+				if (!Number.isFinite(expires)) {
+					throw new TypeError(`${api}.set options.expires must be a Date or Unix epoch milliseconds (received: ${options.expires})`);
+				}
+			}
+		}
+
+		const { store, expiry } = metadataRead(storeKey);
+		const limits = _metadataLimits.get(storeKey);
+
+		store[key] = value;
+
+		if (expires === null) {
+			delete expiry[key];
 		}
 		else {
-			const store = storage.get(_METADATA_STORE) || {};
-			store[key] = value;
-			storage.set(_METADATA_STORE, store);
+			expiry[key] = expires;
+		}
+
+		if (limits) {
+			if (limits.entries && Object.keys(store).length > limits.entries) {
+				throw new Error(`${api}.set cannot add "${key}": store is limited to ${limits.entries} entries`);
+			}
+
+			if (limits.bytes && JSON.stringify(store).length > limits.bytes) {
+				throw new Error(`${api}.set cannot set "${key}": store is limited to ${limits.bytes} bytes`);
+			}
+		}
+
+		metadataWrite(storeKey, store, expiry);
+	}
+
+	function metadataSize(storeKey) {
+		const { store } = metadataRead(storeKey);
+		return Object.keys(store).length;
+	}
+
+	function metadataLimitsGet(storeKey) {
+		return Object.assign({ entries : 0, bytes : 0 }, _metadataLimits.get(storeKey));
+	}
+
+	/*
+		Sets the size limits of the given store, as an object of the form `{ entries, bytes }`—either
+		may be omitted or `0` for no limit.  Entries which are already stored are kept, only writes
+		which would exceed the limits throw.
+	*/
+	function metadataLimitsSet(storeKey, api, limits) {
+		if (limits == null) { // lazy equality for null
+			_metadataLimits.delete(storeKey);
+			return;
+		}
+
+		const { entries = 0, bytes = 0 } = limits;
+
+		if (!Number.isSafeInteger(entries) || entries < 0 || !Number.isSafeInteger(bytes) || bytes < 0) {
+			throw new RangeError(`${api}.limits entries and bytes must be non-negative integers (received: ${entries}, ${bytes})`);
+		}
+
+		_metadataLimits.set(storeKey, { entries, bytes });
+	}
+
+	/*
+		Returns the metadata API object of the given store.
+	*/
+	function metadataApiCreate(storeKey, api, descriptors) {
+		return Object.freeze(Object.defineProperties({}, Object.assign({
+			clear   : { value : () => metadataClear(storeKey) },
+			delete  : { value : key => metadataDelete(storeKey, api, key) },
+			entries : { value : () => metadataEntries(storeKey) },
+			expires : { value : key => metadataExpires(storeKey, api, key) },
+			get     : { value : key => metadataGet(storeKey, api, key) },
+			has     : { value : key => metadataHas(storeKey, api, key) },
+			keys    : { value : () => metadataKeys(storeKey) },
+			set     : { value : (key, value, options) => metadataSet(storeKey, api, key, value, options) },
+			size    : { get : () => metadataSize(storeKey) },
+			limits  : {
+				get : () => metadataLimitsGet(storeKey),
+				set : limits => metadataLimitsSet(storeKey, api, limits)
+			}
+		}, descriptors)));
+	}
+
+	/*
+		Returns the metadata namespace of the given name, a separate store with the same API as
+		`State.metadata`, creating it if necessary.  If specified, the limits are set as by its
+		`limits` property.
+	*/
+	function metadataNamespace(name, limits) {
+		if (typeof name !== 'string' || name === '' || name.includes(':')) {
+			throw new TypeError(`State.metadata.namespace name parameter must be a non-empty string without colons (received: ${name})`);
+		}
+
+		if (!_metadataNamespaces.has(name)) {
+			_metadataNamespaces.set(
+				name,
+				metadataApiCreate(`${_METADATA_STORE}:${name}`, `State.metadata.namespace("${name}")`, {
+					name : { value : name }
+				})
+			);
+		}
+
+		const namespace = _metadataNamespaces.get(name);
+
+		if (typeof limits !== 'undefined') {
+			namespace.limits = limits;
 		}
+
+		return namespace;
 	}
 
-	function metadataSize() {
-		const store = storage.get(_METADATA_STORE);
-		return store ? Object.keys(store).length : 0;
+	/*
+		Returns the names of the stored metadata namespaces.
+	*/
+	function metadataNamespaces() {
+		const prefix = `${_METADATA_STORE}:`;
+		return storage.keys()
+			.filter(key => key.startsWith(prefix))
+			.map(key => key.slice(prefix.length));
 	}
 
+	const _metadata = metadataApiCreate(_METADATA_STORE, 'State.metadata', {
+		namespace  : { value : metadataNamespace },
+		namespaces : { get : metadataNamespaces }
+	});
+
 	/**
 	 * alias story and temporary variables to the global namespace
 	 */
@@ -855,34 +1689,47 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		/*
 			History Functions.
 		*/
-		history     : { get : historyGet },
-		length      : { get : historyLength },
-		size        : { get : historySize },
-		isEmpty     : { value : historyIsEmpty },
-		current     : { get : historyCurrent },
-		top         : { get : historyTop },
-		bottom      : { get : historyBottom },
-		index       : { value : historyIndex },
-		peek        : { value : historyPeek },
-		has         : { value : historyHas },
-		create      : { value : historyCreate },
-		goTo        : { value : historyGoTo },
-		go          : { value : historyGo },
-		deltaEncode : { value : historyDeltaEncode },
-		deltaDecode : { value : historyDeltaDecode },
+		history      : { get : historyGet },
+		length       : { get : historyLength },
+		size         : { get : historySize },
+		isEmpty      : { value : historyIsEmpty },
+		current      : { get : historyCurrent },
+		top          : { get : historyTop },
+		bottom       : { get : historyBottom },
+		index        : { value : historyIndex },
+		peek         : { value : historyPeek },
+		has          : { value : historyHas },
+		create       : { value : historyCreate },
+		goTo         : { value : historyGoTo },
+		go           : { value : historyGo },
+		branches     : { get : historyBranches },
+		switchBranch : { value : historySwitchBranch },
+		bytes        : { get : historyBytes },
+		measure      : { value : historyMeasure },
+		deltaEncode  : { value : historyDeltaEncode },
+		deltaDecode  : { value : historyDeltaDecode },
+		deltaPatch   : { value : historyDeltaPatch },
 
 		/*
 			PRNG Functions.
 		*/
 		prng : {
 			value : Object.freeze(Object.defineProperties({}, {
-				init      : { value : prngInit },
-				isEnabled : { value : prngIsEnabled },
-				pull      : { get : prngPull, set(val) { prngPullSet(val); } },
-				seed      : { get : prngSeed },
-				str2int   : { value : prngStr2Int },
-				test      : { value : prngTest },
-				peek      : { value : prngPeek }
+				init        : { value : prngInit },
+				isEnabled   : { value : prngIsEnabled },
+				pull        : { get : prngPull, set(val) { prngPullSet(val); } },
+				seed        : { get : prngSeed },
+				seedVersion : { get : prngSeedVersion },
+				str2int     : { value : prngStr2Int },
+				test        : { value : prngTest },
+				peek        : { value : prngPeek },
+				stream      : { value : prngStream },
+				streams     : { get : prngStreams },
+				weighted    : { value : prngWeighted },
+				normal      : { value : prngNormal },
+				triangular  : { value : prngTriangular },
+				sample      : { value : prngSample },
+				dice        : { value : prngDice }
 			}))
 		},
 		random : { value : prngRandom },
@@ -899,21 +1746,18 @@ var State = (() => { // eslint-disable-line no-unused-vars, no-var
 		getVar : { value : variableGet },
 		setVar : { value : variableSet },
 
+		/*
+			Variable Watch Functions.
+		*/
+		watch        : { value : watchAdd },
+		unwatch      : { value : watchDelete },
+		watched      : { get : watchNames },
+		checkWatches : { value : watchCheck },
+
 		/*
 			Story Metadata Functions.
 		*/
-		metadata : {
-			value : Object.freeze(Object.defineProperties({}, {
-				clear   : { value : metadataClear },
-				delete  : { value : metadataDelete },
-				entries : { value : metadataEntries },
-				get     : { value : metadataGet },
-				has     : { value : metadataHas },
-				keys    : { value : metadataKeys },
-				set     : { value : metadataSet },
-				size    : { get : metadataSize }
-			}))
-		},
+		metadata : { value : _metadata },
 
 		/*
 			qc stuff
@@ -56,6 +56,7 @@ var Story = (() => { // eslint-disable-line no-unused-vars, no-var
 			'StoryCaption',
 			'StoryInit',
 			'StoryMenu',
+			'StorySchema',
 			'StoryShare',
 			'StorySubtitle'
 		];
@@ -3,7 +3,13 @@
 /* also, you owe author a beer now */
 
 class PRNG {
-	constructor(seed, pull) {
+	/**
+	 * @param {number | string} [seed] random one between 0.25 and 1 if omitted
+	 * @param {number} [pull=0]
+	 * @param {number} [seedVersion] how string seeds are converted, see str2int. saves store it alongside the seed,
+	 * so that old saves keep their rolls
+	 */
+	constructor(seed, pull, seedVersion = PRNG.seedVersion) {
 		// primes are a prime source of entropy in our generator. pun intended. intend your puns, people!
 		this.primes = [2, 3, 5, 7, 11, 13, 17, 19, 23, 29];
 		// limiter makes sure that after multiplying all parts of a randomizer at their maximum theoretical values, we
@@ -14,10 +20,12 @@ class PRNG {
 		// increments of 1, so ideally it has to be another prime in the interval (limiter/2 .. limiter).
 		// unlike the limiter, it is much harder to determine programmatically...
 		// note: if Number.MAX_SAFE_INTEGER is NOT 9007199254740991 on your system - you need to adjust this factor!
+		// scripts/prng-test.js checks both this and the factor itself
 		this.factor = 12345653;
 		// pull is the number of times random() was called, and the main input of our generator.
 		// it doesn't actually have to be an integer, just incrementable
 		this.pull = Number(pull) || 0;
+		this.seedVersion = seedVersion;
 
 		// seed is the second input for the generator. it has to be below ~1 to stay within MAX_SAFE_INTEGER (although
 		// it doesn't hurt much if it's not), and it shouldn't be below ~0.25, or the factor will have trouble
@@ -138,6 +146,144 @@ class PRNG {
 		return arr[this.randomInt(arr.length - 1)];
 	}
 
+	/**
+	 * picks a value with probability proportional to its weight
+	 * @param {object | Array} table {value: weight}, or an array of [value, weight] pairs or {value, weight} objects
+	 * @param {number} [peek=0] if set, predicts the pick n steps ahead instead of advancing
+	 * @returns {any} picked value, or undefined if the table has no weight at all
+	 */
+	weighted(table, peek = 0) {
+		if (table == null || typeof table !== 'object') throw new Error(`weighted expected an object or an array, got ${typeof table}`);
+		const entries = Array.isArray(table)
+			? table.map(entry => Array.isArray(entry) ? entry : [entry.value, entry.weight])
+			: Object.entries(table);
+
+		let total = 0;
+		for (const [value, weight] of entries) {
+			if (!Number.isFinite(weight) || weight < 0) throw new Error(`weighted called with invalid weight ${weight} for ${JSON.stringify(value)}`);
+			total += weight;
+		}
+		if (total === 0) return;
+
+		let roll = this.random(peek) * total;
+		for (const [value, weight] of entries) {
+			roll -= weight;
+			if (roll < 0) return value;
+		}
+		// rounding errors can leave a sliver of roll, which belongs to the last entry that has any weight
+		for (let i = entries.length - 1; i >= 0; --i) if (entries[i][1] > 0) return entries[i][0];
+	}
+
+	/**
+	 * gaussian roll, via the box-muller transform. uses two pulls
+	 * @param {number} [mean=0]
+	 * @param {number} [deviation=1] standard deviation
+	 * @param {number} [peek=0] if set, predicts the roll n steps ahead instead of advancing
+	 * @returns {number} normally distributed number
+	 */
+	normal(mean = 0, deviation = 1, peek = 0) {
+		if (!Number.isFinite(mean) || !Number.isFinite(deviation) || deviation < 0 || !Number.isInteger(peek)) throw new Error(`normal called with invalid parameters, ${JSON.stringify(arguments)}`);
+		// random() can return 0, but never 1, so flip it to keep the logarithm finite
+		const radius = Math.sqrt(-2 * Math.log(1 - this.random(peek)));
+		const angle = 2 * Math.PI * this.random(peek && peek + 1);
+
+		return mean + deviation * radius * Math.cos(angle);
+	}
+
+	/**
+	 * roll from a triangular distribution, which is more likely to land near mode than near the edges
+	 * @param {number} min
+	 * @param {number} max
+	 * @param {number} [mode] most likely value, the middle of the range by default
+	 * @param {number} [peek=0] if set, predicts the roll n steps ahead instead of advancing
+	 * @returns {number} number between min and max
+	 */
+	triangular(min, max, mode = (min + max) / 2, peek = 0) {
+		if (!Number.isFinite(min) || !Number.isFinite(max) || !Number.isFinite(mode) || !Number.isInteger(peek)) throw new Error(`triangular called with invalid parameters, ${JSON.stringify(arguments)}`);
+		const low = Math.min(min, max);
+		const high = Math.max(min, max);
+		if (mode < low || mode > high) throw new Error(`triangular mode ${mode} is outside of the range ${low}..${high}`);
+
+		const range = high - low;
+		const roll = this.random(peek);
+		if (range === 0) return low;
+		// inverse of the cumulative distribution, which is made of two parabolas meeting at mode
+		if (roll < (mode - low) / range) return low + Math.sqrt(roll * range * (mode - low));
+		return high - Math.sqrt((1 - roll) * range * (high - mode));
+	}
+
+	/**
+	 * picks several distinct elements of an array, i.e. sampling without replacement. uses one pull per element
+	 * @param {Array} array to pick from, left untouched
+	 * @param {number} [count=1] how many elements to pick, at most array.length
+	 * @param {number} [peek=0] if set, predicts the picks n steps ahead instead of advancing
+	 * @returns {Array} picked elements, in the order they were picked
+	 */
+	sample(array, count = 1, peek = 0) {
+		if (!Array.isArray(array)) throw new Error(`sample expected an array, got ${typeof array}`);
+		if (!Number.isInteger(count) || count < 0 || !Number.isInteger(peek)) throw new Error(`sample called with invalid parameters, ${JSON.stringify(arguments)}`);
+
+		const arr = [...array];
+		const picks = Math.min(count, arr.length);
+		// partial fisher-yates, only shuffling as far as we need
+		for (let i = 0; i < picks; ++i) {
+			const j = i + Math.floor(this.random(peek && peek + i) * (arr.length - i));
+			const swap = arr[i];
+			arr[i] = arr[j];
+			arr[j] = swap;
+		}
+
+		return arr.slice(0, picks);
+	}
+
+	/**
+	 * rolls a dice expression, such as "3d6+2", "d20", "2d6-1d4" or "d%". uses one pull per die
+	 * @param {string} expression dice and whole numbers joined with + or -
+	 * @param {number} [peek=0] if set, predicts the roll n steps ahead instead of advancing
+	 * @returns {number} total of the roll
+	 */
+	dice(expression, peek = 0) {
+		if (typeof expression !== 'string') throw new Error(`dice expected a string, got ${typeof expression}`);
+		if (!Number.isInteger(peek)) throw new Error(`dice called with invalid peek ${peek}`);
+
+		const termRe = /\s*([+-])?\s*(?:(\d*)\s*d\s*(\d+|%)|(\d+))\s*/iy;
+		const terms = [];
+		let dice = 0;
+		while (termRe.lastIndex < expression.length) {
+			const start = termRe.lastIndex;
+			const match = termRe.exec(expression);
+			// every term but the first needs a sign, so "2d6 3" is an error rather than a 2d63
+			if (!match || start > 0 && !match[1]) throw new Error(`dice expression "${expression}" is invalid at "${expression.slice(start).trim()}"`);
+
+			const sign = match[1] === '-' ? -1 : 1;
+			if (match[4] !== undefined) {
+				terms.push({ sign, value : Number(match[4]) });
+				continue;
+			}
+			const count = match[2] === '' ? 1 : Number(match[2]);
+			const sides = match[3] === '%' ? 100 : Number(match[3]);
+			if (sides < 1) throw new Error(`dice expression "${expression}" has a die without sides`);
+			dice += count;
+			terms.push({ sign, count, sides });
+		}
+		if (terms.length === 0) throw new Error('dice called with an empty expression');
+		if (dice > 9000) throw new Error('it\'s over 9000!');
+
+		let total = 0;
+		let offset = 0;
+		for (const term of terms) {
+			if (term.sides === undefined) {
+				total += term.sign * term.value;
+				continue;
+			}
+			for (let i = 0; i < term.count; ++i) {
+				total += term.sign * (Math.floor(this.random(peek && peek + offset++) * term.sides) + 1);
+			}
+		}
+
+		return total;
+	}
+
 	/**
 	 * function to peek into the list of n future random values without altering the pull value
 	 * @param {number} depth how many numbers to return
@@ -151,12 +297,74 @@ class PRNG {
 		return result;
 	}
 
+	/**
+	 * derives the seed of a named sub-stream from this generator's seed. different names give unrelated seeds,
+	 * even when they differ by a single character, which str2int can't promise
+	 * @param {string} name of the stream
+	 * @returns {number [0.25, 1)} seed for the stream
+	 */
+	streamSeed(name) {
+		// FNV-1a over both the seed and the name, the separator keeps "ab"+"c" and "a"+"bc" apart
+		let hash = 2166136261;
+		for (const char of `${this.seed}\u0000${name}`) {
+			hash ^= char.codePointAt(0);
+			hash = Math.imul(hash, 16777619) >>> 0;
+		}
+		return hash / 4294967296 * 0.75 + 0.25;
+	}
+
+	/**
+	 * creates an independent generator for a named sub-stream, so rolls made on it don't shift anyone else's
+	 * @param {string} name of the stream
+	 * @param {number} [pull=0] pull to resume the stream from
+	 * @returns {PRNG} generator seeded with streamSeed(name)
+	 */
+	stream(name, pull = 0) {
+		return new PRNG(this.streamSeed(name), pull);
+	}
+
 	/**
 	 * string to seed converter
+	 * version 1 averages the printable ascii characters, so anagrams and non-latin strings collide. it's kept for
+	 * seeds saved before version 2, which hashes every code point in order, so that any change to the string
+	 * results in an unrelated seed
+	 * @param {string} string to convert
+	 * @param {number} [version=this.seedVersion]
+	 * @returns {number [0.25, 1]} float between 0.25 and 1, inclusive
+	 */
+	str2int(string, version = this.seedVersion) {
+		if (version === 1) return PRNG.str2intLegacy(string);
+		if (version === 2) return PRNG.str2intHash(string);
+		throw new Error(`unknown seed version ${version}`);
+	}
+
+	/**
+	 * version 2 string to seed converter, a 53-bit hash over code points (cyrb53), so emojis count as one character
+	 * @param {string} string to convert
+	 * @returns {number [0.25, 1)} float between 0.25 and 1
+	 */
+	static str2intHash(string) {
+		let h1 = 0xdeadbeef;
+		let h2 = 0x41c6ce57;
+		for (const char of string) {
+			const code = char.codePointAt(0);
+			h1 = Math.imul(h1 ^ code, 2654435761);
+			h2 = Math.imul(h2 ^ code, 1597334677);
+		}
+		// final mixing, so that similar strings end up far apart
+		h1 = Math.imul(h1 ^ h1 >>> 16, 2246822507) ^ Math.imul(h2 ^ h2 >>> 13, 3266489909);
+		h2 = Math.imul(h2 ^ h2 >>> 16, 2246822507) ^ Math.imul(h1 ^ h1 >>> 13, 3266489909);
+		const hash = 2097152 * (h2 >>> 0) + (h1 >>> 0) % 2097152;
+
+		return hash / 2 ** 53 * 0.75 + 0.25;
+	}
+
+	/**
+	 * version 1 string to seed converter
 	 * @param {string} string to convert
 	 * @returns {number [0.25, 1]} float between 0.25 and 1, inclusive
 	 */
-	str2int(string) {
+	static str2intLegacy(string) {
 		let sum = 0;
 		let count = 0;
 		for (const char of string) {
@@ -172,6 +380,7 @@ class PRNG {
 
 	/**
 	 * test function to check the random distribution
+	 * only a quick look, `node scripts/prng-test.js` runs the proper statistical tests
 	 * @param {number} count how many times to roll
 	 * @param {number} granularity how many baskets to fill
 	 * @param {boolean} advancerng increase the actual prng pull value
@@ -184,4 +393,6 @@ class PRNG {
 		return distribution;
 	}
 }
+// current version of str2int, for new seeds
+PRNG.seedVersion = 2;
 window.PRNG = PRNG;
@@ -7,9 +7,10 @@
 
 ***********************************************************************************************************************/
 /*
-	global Alert, Browser, Config, Dialog, Engine, Fullscreen, Has, LoadScreen, SimpleStore, L10n, Macro, Passage,
-	       Save, Scripting, Setting, SimpleAudio, State, Story, UI, UIBar, DebugBar, Util, Visibility, Wikifier
-	, Links, idb
+	global Achievement, Alert, Browser, Config, Dialog, Engine, Fullscreen, Has, LoadScreen, SimpleStore, L10n, Macro,
+	       Passage, Prefetch, Profiler, Save, Schema, Scripting, Serial, Setting, SimpleAudio, State, Story, Transition,
+	       UI, UIBar, DebugBar, Util, Visibility, Wikifier
+	, Links, Tabs, idb
 */
 /* eslint-disable no-var */
 
@@ -166,12 +167,24 @@ jQuery(() => {
 				// Initialize the settings.
 				Setting.init();
 
+				// Initialize the variable schema (must be done after story initialization).
+				Schema.init();
+
 				// Initialize indexedDB
 				idb.init(Story.domId);
 
+				// Initialize cross-tab coordination
+				Tabs.init(Story.domId);
+
 				// Initialize hotkeys
 				Links.init();
 
+				// Initialize passage prefetching (must be done after hotkeys initialization).
+				Prefetch.init();
+
+				// Initialize passage transitions.
+				Transition.init();
+
 				// Initialize the macros.
 				Macro.init();
 
@@ -213,6 +226,7 @@ jQuery(() => {
 				Object.defineProperty(window, 'SugarCube', {
 					// WARNING: We need to assign new values at points, so seal it, do not freeze it.
 					value : Object.seal(Object.assign(Object.create(null), {
+						Achievement,
 						Browser,
 						Config,
 						Dialog,
@@ -222,12 +236,17 @@ jQuery(() => {
 						L10n,
 						Macro,
 						Passage,
+						Prefetch,
+						Profiler,
 						Save,
+						Schema,
 						Scripting,
+						Serial,
 						Setting,
 						SimpleAudio,
 						State,
 						Story,
+						Transition,
 						UI,
 						UIBar,
 						DebugBar,
@@ -0,0 +1,141 @@
+/* global Dialog, Engine, L10n, UI */
+/* eslint max-len: "off", quotes: ["warn", "double"], key-spacing: ["warn", {beforeColon: false, afterColon: true, align: "value"}], comma-dangle: ["warn", "always-multiline"], indent: ["warn", "tab", {SwitchCase: 1}], prefer-template: "off", brace-style: ["warn", "1tbs"] */
+/**
+ * cross-tab coordination for saves
+ * every open tab of the same story shares one idb database and one localStorage namespace, so they need to know about each other:
+ * - presence, to warn the player that another tab has the story open
+ * - change broadcasting, to refresh the saves list when another tab writes a slot. other tabs get a `:tabwrite` event with `store` and `slot` properties
+ * - write locks, so two tabs can't write the same slot at the same time
+ * messages go over BroadcastChannel, or over localStorage storage events where it's unavailable. locks need the Web Locks API, without it only the in-tab guards apply
+ */
+
+const Tabs = (() => {
+	"use strict";
+
+	// random id of this tab, to tell our own messages apart from the others
+	const id = Math.random().toString(36).slice(2) + Date.now().toString(36);
+	// other tabs, id => time they were last heard from
+	const peers = new Map();
+	// how often tabs remind each other that they are still open, in ms
+	const heartbeat = 10000;
+	let name = null;
+	let channel = null;
+	let storageKey = null;
+	let warned = false;
+	let warnOnOpen = true;
+
+	/**
+	 * start listening to other tabs of the story and announce this one
+	 *
+	 * @param {string} storyName name shared by all tabs of the story, usually Story.domId
+	 */
+	function init(storyName) {
+		if (name) return;
+		name = `sugarcube-tabs:${storyName}`;
+
+		if (typeof BroadcastChannel === "function") {
+			channel = new BroadcastChannel(name);
+			channel.onmessage = ev => receive(ev.data);
+		} else {
+			storageKey = name;
+			window.addEventListener("storage", ev => {
+				if (ev.key === storageKey && ev.newValue) receive(JSON.parse(ev.newValue));
+			});
+		}
+
+		post("hello");
+		setInterval(() => {
+			post("here");
+			// forget tabs that closed without saying goodbye, i.e. crashed or got killed
+			const cutoff = Date.now() - heartbeat * 3;
+			peers.forEach((seen, peer) => {
+				if (seen < cutoff) peers.delete(peer);
+			});
+		}, heartbeat);
+		window.addEventListener("pagehide", () => post("bye"));
+	}
+
+	/**
+	 * @param {string} type message type: hello, here, bye or write
+	 * @param {object} [data]
+	 */
+	function post(type, data) {
+		const message = { type, from: id, data };
+		try {
+			if (channel) channel.postMessage(message);
+			// storage events only fire when the value changes, the timestamp makes sure it does
+			else if (storageKey) localStorage.setItem(storageKey, JSON.stringify(Object.assign(message, { at: Date.now() })));
+		} catch (ex) {
+			console.warn("couldn't reach other tabs", ex);
+		}
+	}
+
+	/**
+	 * @param {object} message as posted by another tab
+	 */
+	function receive(message) {
+		if (message == null || message.from === id) return;
+		const known = peers.has(message.from);
+
+		switch (message.type) {
+			case "bye":
+				peers.delete(message.from);
+				return;
+			case "hello":
+				// let the newcomer know we're here
+				post("here");
+				break;
+			case "write":
+				jQuery.event.trigger({ type: ":tabwrite", store: message.data.store, slot: message.data.slot });
+				break;
+		}
+		peers.set(message.from, Date.now());
+		if (!known) warn();
+	}
+
+	/**
+	 * warn the player about another tab once per session, without interrupting anything they have open
+	 */
+	function warn() {
+		if (warned || !warnOnOpen) return;
+		warned = true;
+		const show = () => UI.alert(L10n.get("tabsWarningOtherTab"));
+		if (Dialog.isOpen()) jQuery(document).one(":dialogclosed", () => setTimeout(show, Engine.minDomActionDelay));
+		else show();
+	}
+
+	/**
+	 * let other tabs know that saves have changed
+	 *
+	 * @param {string} store "idb" or "local"
+	 * @param {number | string | null} [slot] slot that was written, or null when many were
+	 */
+	function notify(store, slot = null) {
+		post("write", { store, slot });
+	}
+
+	/**
+	 * run a function while holding a lock shared by every tab of the story, waiting for other tabs to release it first
+	 *
+	 * @param {string} lockName e.g. "slot:3"
+	 * @param {Function} fn may be async, the lock is held until it settles
+	 * @param {object} [options] lock request options, e.g. { mode: "shared" }
+	 * @returns {Promise} resolves to what fn returned
+	 */
+	function withLock(lockName, fn, options = {}) {
+		if (!navigator.locks || !name) return Promise.resolve().then(fn);
+		return navigator.locks.request(`${name}:${lockName}`, options, () => fn());
+	}
+
+	return Object.freeze(Object.defineProperties({}, {
+		/* eslint-disable brace-style */
+		init:       { value: init },
+		notify:     { value: notify },
+		withLock:   { value: withLock },
+		id:         { get() { return id; } },
+		others:     { get() { return peers.size; } },
+		warnOnOpen: { get() { return warnOnOpen; }, set(val) { warnOnOpen = Boolean(val); } },
+		/* eslint-enable brace-style */
+	}));
+})();
+window.Tabs = Tabs;
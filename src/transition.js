@@ -0,0 +1,449 @@
+/***********************************************************************************************************************
+
+	transition.js
+
+	Copyright © 2013–2021 Thomas Michael Edwards <thomasmedwards@gmail.com>. All rights reserved.
+	Use of this source code is governed by a BSD 2-clause "Simplified" License, which may be found in the LICENSE file.
+
+***********************************************************************************************************************/
+/* global Alert, getTypeOf */
+
+var Transition = (() => { // eslint-disable-line no-unused-vars, no-var
+	'use strict';
+
+	/*
+		Transition types, type name → factory of the outgoing and incoming passage keyframes, given the
+		definition.  Sequential types play the incoming keyframes after the outgoing ones, rather than
+		at the same time.
+	*/
+	const _types = Object.freeze({
+		none : Object.freeze({
+			keyframes : () => ({ out : null, in : null })
+		}),
+		fade : Object.freeze({
+			sequential : true,
+			keyframes  : () => ({
+				out : [{ opacity : 1 }, { opacity : 0 }],
+				in  : [{ opacity : 0 }, { opacity : 1 }]
+			})
+		}),
+		dissolve : Object.freeze({
+			keyframes : () => ({
+				out : [{ opacity : 1 }, { opacity : 0 }],
+				in  : [{ opacity : 0 }, { opacity : 1 }]
+			})
+		}),
+		slide : Object.freeze({
+			keyframes : def => {
+				const axis = def.direction === 'up' || def.direction === 'down' ? 'Y' : 'X';
+				const sign = def.direction === 'right' || def.direction === 'down' ? '' : '-';
+				const away = `translate${axis}(${sign}100%)`;
+				const from = `translate${axis}(${sign === '' ? '-' : ''}100%)`;
+
+				return {
+					out : [{ transform : 'none' }, { transform : away }],
+					in  : [{ transform : from }, { transform : 'none' }]
+				};
+			}
+		})
+	});
+
+	// Valid directions of the `slide` type.
+	const _directions = Object.freeze(['left', 'right', 'up', 'down']);
+
+	// Named transitions, name → definition.
+	const _named = new Map(Object.keys(_types).map(type => [type, definitionCreate(type, { type })]));
+
+	// Transitions of passages and of tags, title or tag → definition.
+	const _passages = new Map();
+	const _tags     = new Map();
+
+	// Transition used when no other applies, or `null` to use `Config.passages.transitionOut`.
+	let _default = null;
+
+	// Transition to use for the next passage, overriding all others, or `null`.
+	let _next = null;
+
+	// Transition in progress, or `null` if there is none.
+	let _running = null;
+
+	// How long the `before` hook may delay the swap, in milliseconds, before the transition is finished
+	// without it—so that a hook which never settles cannot leave the incoming passage hidden.
+	const _beforeTimeout = 10000;
+
+	// Media query for the user's reduced motion preference.
+	const _reducedMotion = typeof window.matchMedia === 'function'
+		? window.matchMedia('(prefers-reduced-motion: reduce)')
+		: null;
+
+
+	/*******************************************************************************************************************
+		Definitions Functions.
+	*******************************************************************************************************************/
+	/*
+		Adds a named transition.  Definition object properties:
+
+			type      → (optional) Type: 'fade', 'dissolve' (i.e., cross-dissolve), 'slide', or 'none'.
+			            Default: 'fade'.
+			in        → (optional) Duration of the incoming passage's transition, in milliseconds.
+			            Default: `400`.
+			out       → (optional) Duration of the outgoing passage's transition, in milliseconds.
+			            Default: `400`.
+			easing    → (optional) CSS easing function.  Default: 'ease-in-out'.
+			direction → (optional) Direction of 'slide' transitions: 'left', 'right', 'up', or 'down'.
+			            Default: 'left'.
+			before    → (optional) Function called before the swap, which may return a promise to
+			            delay it—by up to 10 seconds, after which the swap happens without animation.
+			after     → (optional) Function called after the incoming passage's transition ends,
+			            which may return a promise to delay the `:passagetransitionend` event.
+
+		Hooks are called with an object of the `passage`, the `incoming` passage element, the
+		`outgoing` passage elements, and the `transition` definition.
+	*/
+	function definitionsAdd(name, def) {
+		if (typeof name !== 'string' || name.trim() === '') {
+			throw new TypeError(`Transition.add name parameter must be a non-empty string (received: ${getTypeOf(name)})`);
+		}
+
+		_named.set(name, definitionCreate(name, def));
+	}
+
+	function definitionsDelete(name) {
+		return _named.delete(name);
+	}
+
+	function definitionsGet(name) {
+		return _named.get(name) || null;
+	}
+
+	function definitionsHas(name) {
+		return _named.has(name);
+	}
+
+	/*
+		Sets the transition of the given passage, as a name or definition, or removes it if `null`.
+	*/
+	function definitionsSetPassage(title, def) {
+		definitionsMapSet(_passages, 'Transition.passage', title, def);
+	}
+
+	/*
+		Sets the transition of passages with the given tag, as a name or definition, or removes it
+		if `null`.  Passage transitions take precedence over tag transitions.
+	*/
+	function definitionsSetTag(tag, def) {
+		definitionsMapSet(_tags, 'Transition.tag', tag, def);
+	}
+
+	function definitionsMapSet(map, where, key, def) {
+		if (typeof key !== 'string' || key.trim() === '') {
+			throw new TypeError(`${where} first parameter must be a non-empty string (received: ${getTypeOf(key)})`);
+		}
+
+		if (def == null) { // lazy equality for null
+			map.delete(key);
+		}
+		else {
+			map.set(key, definitionFrom(where, def));
+		}
+	}
+
+	function definitionsGetDefault() {
+		return _default;
+	}
+
+	function definitionsSetDefault(def) {
+		_default = def == null ? null : definitionFrom('Transition.default', def); // lazy equality for null
+	}
+
+	/*
+		Sets the transition of the next passage, as a name or definition, overriding all others—e.g.,
+		for a link.  Cleared once used or if the navigation is cancelled.
+	*/
+	function definitionsSetNext(def) {
+		_next = def == null ? null : definitionFrom('Transition.next', def); // lazy equality for null
+	}
+
+	/*
+		Returns the transition of the given passage—i.e., the next passage override, the passage's,
+		the first of its tags', or the default, in that order—or `null` if none applies.  Clears the
+		next passage override.
+	*/
+	function definitionsResolve(passage) {
+		const next = _next;
+		_next = null;
+
+		if (next !== null) {
+			return next;
+		}
+
+		if (_passages.has(passage.title)) {
+			return _passages.get(passage.title);
+		}
+
+		const tag = passage.tags.find(name => _tags.has(name));
+
+		return tag ? _tags.get(tag) : _default;
+	}
+
+
+	/*******************************************************************************************************************
+		Transition Functions.
+	*******************************************************************************************************************/
+	function transitionInit() {
+		if (DEBUG) { console.log('[Transition/transitionInit()]'); }
+
+		// Discard the next passage override if its navigation is cancelled.
+		jQuery(document).on(':navigationcancel.transition', () => {
+			_next = null;
+		});
+	}
+
+	/*
+		Swaps the given incoming passage element into the container, in place of its current passage
+		elements, using the given transition definition.  The incoming element is added immediately,
+		so that the passage events see it in the page, though it's hidden—and cannot be interacted
+		with—until the `before` hook is done.
+
+		NOTE: Transitions are instant if the user prefers reduced motion or the browser lacks the Web
+		Animations API, though the hooks are still called.
+	*/
+	function transitionRun(containerEl, incoming, def, passage) {
+		// Finish any transition in progress.
+		transitionFinish();
+
+		const outgoing = [];
+
+		[...containerEl.childNodes].forEach(node => {
+			if (
+				   node.nodeType === Node.ELEMENT_NODE
+				&& node.classList.contains('passage')
+				&& !node.classList.contains('passage-out')
+			) {
+				outgoing.push(node);
+			}
+			else {
+				containerEl.removeChild(node);
+			}
+		});
+
+		outgoing.forEach(el => {
+			jQuery(el)
+				.attr({
+					id          : `out-${el.id}`,
+					'aria-live' : 'off'
+				})
+				.addClass('passage-transition-out');
+		});
+		jQuery(containerEl)
+			.attr('data-transition', def.type)
+			.addClass('passages-transition');
+		jQuery(incoming).addClass('passage-transition-pending');
+		containerEl.appendChild(incoming);
+
+		const context    = Object.freeze({ passage, incoming, outgoing, transition : def });
+		const animate    = !isInstant();
+		const keyframes  = _types[def.type].keyframes(def);
+		const outOptions = { duration : def.out, easing : def.easing, fill : 'forwards' };
+		const inOptions  = {
+			duration : def.in,
+			delay    : _types[def.type].sequential && outgoing.length > 0 ? def.out : 0,
+			easing   : def.easing,
+			fill     : 'backwards'
+		};
+		const animations = [];
+
+		if (animate && keyframes.out) {
+			outgoing.forEach(el => animations.push(el.animate(keyframes.out, outOptions)));
+		}
+
+		if (animate && keyframes.in) {
+			animations.push(incoming.animate(keyframes.in, inOptions));
+		}
+
+		// Hold the animations, with the incoming element hidden, until the `before` hook is done.
+		animations.forEach(animation => animation.pause());
+
+		const running = {
+			finished : false,
+			timeout  : null,
+			finish() {
+				if (this.finished) {
+					return;
+				}
+
+				this.finished = true;
+				clearTimeout(this.timeout);
+				jQuery(incoming).removeClass('passage-transition-pending');
+				animations.forEach(animation => animation.finish());
+				outgoing.forEach(el => jQuery(el).remove());
+				jQuery(containerEl)
+					.removeAttr('data-transition')
+					.removeClass('passages-transition');
+
+				if (_running === this) {
+					_running = null;
+				}
+			}
+		};
+		_running = running;
+
+		running.timeout = setTimeout(() => {
+			console.warn(`transition before hook did not settle within ${_beforeTimeout}ms; finishing the transition`);
+			running.finish();
+		}, _beforeTimeout);
+
+		hookCall(def.before, 'before', context)
+			.then(() => {
+				if (running.finished) {
+					return;
+				}
+
+				jQuery(incoming).removeClass('passage-transition-pending');
+				animations.forEach(animation => animation.play());
+				return Promise.all(animations.map(animation => animation.finished));
+			})
+			.catch(() => { /* no-op; animations are only ever aborted by `transitionFinish()` */ })
+			.then(() => {
+				running.finish();
+				return hookCall(def.after, 'after', context);
+			})
+			.then(() => {
+				jQuery.event.trigger({
+					type    : ':passagetransitionend',
+					content : incoming,
+					passage
+				});
+			});
+	}
+
+	/*
+		Finishes the transition in progress, if any, immediately.
+	*/
+	function transitionFinish() {
+		if (_running !== null) {
+			_running.finish();
+		}
+	}
+
+	function transitionIsRunning() {
+		return _running !== null;
+	}
+
+
+	/*******************************************************************************************************************
+		Utility Functions.
+	*******************************************************************************************************************/
+	/*
+		Returns a frozen copy of the given definition, throwing if it is malformed.
+	*/
+	function definitionCreate(label, def) {
+		if (getTypeOf(def) !== 'Object') {
+			throw new TypeError(`transition "${label}" definition must be an object (received: ${getTypeOf(def)})`);
+		}
+
+		const definition = Object.assign({
+			type      : 'fade',
+			in        : 400,
+			out       : 400,
+			easing    : 'ease-in-out',
+			direction : 'left'
+		}, def);
+
+		if (!_types.hasOwnProperty(definition.type)) {
+			throw new Error(`transition "${label}" has an unknown type "${definition.type}" (valid: ${Object.keys(_types).join(', ')})`);
+		}
+
+		['in', 'out'].forEach(prop => {
+			if (!Number.isFinite(definition[prop]) || definition[prop] < 0) {
+				throw new TypeError(`transition "${label}" ${prop} duration must be a non-negative number`);
+			}
+		});
+
+		if (!_directions.includes(definition.direction)) {
+			throw new Error(`transition "${label}" has an unknown direction "${definition.direction}" (valid: ${_directions.join(', ')})`);
+		}
+
+		['before', 'after'].forEach(prop => {
+			if (definition.hasOwnProperty(prop) && typeof definition[prop] !== 'function') {
+				throw new TypeError(`transition "${label}" ${prop} hook must be a function`);
+			}
+		});
+
+		return Object.freeze(definition);
+	}
+
+	/*
+		Returns the definition for the given transition name or definition object.
+	*/
+	function definitionFrom(where, def) {
+		if (typeof def === 'string') {
+			if (!_named.has(def)) {
+				throw new Error(`${where}: transition "${def}" does not exist`);
+			}
+
+			return _named.get(def);
+		}
+
+		return definitionCreate('(unnamed)', def);
+	}
+
+	/*
+		Calls the given hook, if any, returning a promise which resolves once it's done.  Errors are
+		reported, rather than thrown, so that the swap always completes.
+	*/
+	function hookCall(hook, name, context) {
+		if (typeof hook !== 'function') {
+			return Promise.resolve();
+		}
+
+		return Promise.resolve()
+			.then(() => hook.call(context, context))
+			.catch(ex => {
+				console.error(ex);
+				Alert.error(`transition ${name} hook`, ex && ex.message || String(ex));
+			});
+	}
+
+	/*
+		Returns whether the user prefers reduced motion.
+	*/
+	function prefersReducedMotion() {
+		return _reducedMotion !== null && _reducedMotion.matches;
+	}
+
+	function isInstant() {
+		return prefersReducedMotion() || typeof Element.prototype.animate !== 'function';
+	}
+
+
+	/*******************************************************************************************************************
+		Module Exports.
+	*******************************************************************************************************************/
+	return Object.freeze(Object.defineProperties({}, {
+		/*
+			Definitions Functions.
+		*/
+		add     : { value : definitionsAdd },
+		delete  : { value : definitionsDelete },
+		get     : { value : definitionsGet },
+		has     : { value : definitionsHas },
+		passage : { value : definitionsSetPassage },
+		tag     : { value : definitionsSetTag },
+		next    : { value : definitionsSetNext },
+		resolve : { value : definitionsResolve },
+		default : {
+			get : definitionsGetDefault,
+			set : definitionsSetDefault
+		},
+
+		/*
+			Transition Functions.
+		*/
+		init          : { value : transitionInit },
+		run           : { value : transitionRun },
+		finish        : { value : transitionFinish },
+		isRunning     : { value : transitionIsRunning },
+		reducedMotion : { get : prefersReducedMotion }
+	}));
+})();
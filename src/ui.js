@@ -7,13 +7,17 @@
 
 ***********************************************************************************************************************/
 /*
-	global Alert, Browser, Config, Dialog, Engine, Has, L10n, Save, Setting, State, Story, Util, Wikifier, idb
-	       errorPrologRegExp, settings
+	global Achievement, Alert, Browser, Config, Dialog, Engine, Has, L10n, Save, Setting, State, Story, Util, Wikifier,
+	       idb, errorPrologRegExp, settings
 */
 
 var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 	'use strict';
 
+	// Sort order of the saves list, kept for the session.
+	let _savesSort        = 'slot';
+	let _savesSortReverse = false;
+
 	/*******************************************************************************************************************
 		UI Functions, Core.
 	*******************************************************************************************************************/
@@ -74,6 +78,11 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 	/*******************************************************************************************************************
 		UI Functions, Built-ins.
 	*******************************************************************************************************************/
+	function uiOpenAchievements(/* options, closeFn */ ...args) {
+		uiBuildAchievements();
+		Dialog.open(...args);
+	}
+
 	function uiOpenAlert(message, /* options, closeFn */ ...args) {
 		jQuery(Dialog.setup(L10n.get('alertTitle'), 'alert'))
 			.append(
@@ -114,6 +123,68 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 		Dialog.open(...args);
 	}
 
+	function uiBuildAchievements() {
+		if (DEBUG) { console.log('[UI/uiBuildAchievements()]'); }
+
+		const $dialogBody  = jQuery(Dialog.setup(L10n.get('achievementsTitle'), 'achievements'));
+		const achievements = Achievement.list;
+
+		if (achievements.length === 0) {
+			jQuery(document.createElement('p'))
+				.addClass('empty')
+				.text(L10n.get('achievementsEmpty'))
+				.appendTo($dialogBody);
+			return true;
+		}
+
+		jQuery(document.createElement('p'))
+			.attr('id', 'achievements-progress')
+			.text(L10n.get('achievementsProgress', {
+				unlocked : achievements.filter(achievement => achievement.unlocked !== null).length,
+				total    : achievements.length
+			}))
+			.appendTo($dialogBody);
+
+		const $list = jQuery(document.createElement('ul'))
+			.attr('id', 'achievements-list')
+			.appendTo($dialogBody);
+
+		achievements.forEach(achievement => {
+			const isUnlocked = achievement.unlocked !== null;
+			const $item      = jQuery(document.createElement('li'))
+				.attr('id', `achievement-${Util.slugify(achievement.id)}`)
+				.addClass(isUnlocked ? 'unlocked' : 'locked')
+				.appendTo($list);
+
+			jQuery(document.createElement('div'))
+				.addClass('achievement-title')
+				.wiki(achievement.title)
+				.appendTo($item);
+
+			if (isUnlocked) {
+				jQuery(document.createElement('span'))
+					.addClass('datestamp')
+					.text(new Date(achievement.unlocked).toLocaleString())
+					.appendTo($item.children().first());
+			}
+
+			if (achievement.hidden && !isUnlocked) {
+				jQuery(document.createElement('p'))
+					.addClass('achievement-desc')
+					.text(L10n.get('achievementsHidden'))
+					.appendTo($item);
+			}
+			else if (achievement.description) {
+				jQuery(document.createElement('p'))
+					.addClass('achievement-desc')
+					.wiki(achievement.description)
+					.appendTo($item);
+			}
+		});
+
+		return true;
+	}
+
 	function uiBuildAutoload() {
 		if (DEBUG) { console.log('[UI/uiBuildAutoload()]'); }
 
@@ -229,6 +300,54 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 				.append($btn);
 		}
 
+		function createSortControls() {
+			const saves = Save.get();
+			const keys  = ['slot', 'date', 'title', 'passage'];
+
+			// Offer every custom metadata field found in the saves.
+			[saves.autosave, ...saves.slots].forEach(saveObj => {
+				if (saveObj && saveObj.metadata) {
+					Object.keys(saveObj.metadata).forEach(name => {
+						if (!keys.includes(`metadata.${name}`)) {
+							keys.push(`metadata.${name}`);
+						}
+					});
+				}
+			});
+
+			const $select = jQuery(document.createElement('select'))
+				.attr('id', 'saves-sort')
+				.on('change', function () {
+					_savesSort        = this.value;
+					_savesSortReverse = false;
+					uiBuildSaves();
+				});
+
+			keys.forEach(key => {
+				jQuery(document.createElement('option'))
+					.val(key)
+					.text(key.startsWith('metadata.') ? key.slice(9) : L10n.get(`savesSort${key.toUpperFirst()}`))
+					.prop('selected', key === _savesSort)
+					.appendTo($select);
+			});
+
+			const $reverse = jQuery(document.createElement('label'))
+				.append(
+					jQuery(document.createElement('input'))
+						.attr({ id : 'saves-sort-reverse', type : 'checkbox' })
+						.prop('checked', _savesSortReverse)
+						.on('change', function () {
+							_savesSortReverse = this.checked;
+							uiBuildSaves();
+						}),
+					` ${L10n.get('savesSortReverse')}`
+				);
+
+			return jQuery(document.createElement('div'))
+				.attr('id', 'saves-sort-controls')
+				.append(`${L10n.get('savesSortLabel')} `, $select, ' ', $reverse);
+		}
+
 		function createSaveList() {
 			function createButton(bId, bClass, bText, bSlot, bAction) {
 				const $btn = jQuery(document.createElement('button'))
@@ -329,7 +448,18 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 					.appendTo($tbody);
 			}
 
-			for (let i = 0, iend = saves.slots.length; i < iend; ++i) {
+			// Slot indices in display order.
+			const order = [...saves.slots.keys()];
+
+			if (_savesSort !== 'slot') {
+				const compare = Save.comparator(_savesSort, _savesSort === 'date' !== _savesSortReverse);
+				order.sort((a, b) => compare(saves.slots[a], saves.slots[b]));
+			}
+			else if (_savesSortReverse) {
+				order.reverse();
+			}
+
+			for (const i of order) {
 				const $tdSlot = jQuery(document.createElement('td'));
 				const $tdLoad = jQuery(document.createElement('td'));
 				const $tdDesc = jQuery(document.createElement('td'));
@@ -404,7 +534,22 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 
 		// Add saves list.
 		if (savesOk) {
-			$dialogBody.append(createSaveList());
+			$dialogBody.append(createSortControls(), createSaveList());
+
+			// Add the storage usage.
+			const $usage = jQuery(document.createElement('p'))
+				.attr('id', 'saves-usage')
+				.appendTo($dialogBody);
+			Save.usage.get(false).then(report => {
+				if (report.used) {
+					$usage
+						.text(Save.usage.summary(report.used, report.quota))
+						.toggleClass('red', Boolean(report.quota) && report.used / report.quota >= Config.saves.quotaWarning);
+				}
+			}).catch(ex => {
+				// The usage is only informative, so leave it out rather than break the dialog.
+				console.warn('could not get the saves storage usage', ex);
+			});
 		}
 
 		jQuery(document.createElement('label')).attr('id', 'idbToggleSaves').append(
@@ -744,18 +889,20 @@ var UI = (() => { // eslint-disable-line no-unused-vars, no-var
 		/*
 			UI Functions, Built-ins.
 		*/
-		alert         : { value : uiOpenAlert },
-		jumpto        : { value : uiOpenJumpto },
-		restart       : { value : uiOpenRestart },
-		saves         : { value : uiOpenSaves },
-		settings      : { value : uiOpenSettings },
-		share         : { value : uiOpenShare },
-		buildAutoload : { value : uiBuildAutoload },
-		buildJumpto   : { value : uiBuildJumpto },
-		buildRestart  : { value : uiBuildRestart },
-		buildSaves    : { value : uiBuildSaves },
-		buildSettings : { value : uiBuildSettings },
-		buildShare    : { value : uiBuildShare },
+		achievements      : { value : uiOpenAchievements },
+		alert             : { value : uiOpenAlert },
+		jumpto            : { value : uiOpenJumpto },
+		restart           : { value : uiOpenRestart },
+		saves             : { value : uiOpenSaves },
+		settings          : { value : uiOpenSettings },
+		share             : { value : uiOpenShare },
+		buildAchievements : { value : uiBuildAchievements },
+		buildAutoload     : { value : uiBuildAutoload },
+		buildJumpto       : { value : uiBuildJumpto },
+		buildRestart      : { value : uiBuildRestart },
+		buildSaves        : { value : uiBuildSaves },
+		buildSettings     : { value : uiBuildSettings },
+		buildShare        : { value : uiBuildShare },
 
 		/*
 			Legacy Aliases.